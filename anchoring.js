@@ -0,0 +1,239 @@
+// Offset anchoring: find where a suggestion's problematicText really is when the
+// model's start/end are off. Every occurrence is a candidate, scored by how well the
+// surrounding text matches the suggestion's prefix/suffix, whether it is the
+// occurrence the model counted, and how close it is to the offsets given. Text is
+// compared grapheme by grapheme after NFC normalization, then with case and accents
+// folded, and finally with a few edits allowed for near misses. Matches always
+// cover whole grapheme clusters of the original text.
+
+const CONTEXT_WEIGHT = 2;
+const OCCURRENCE_WEIGHT = 1;
+const PROXIMITY_WEIGHT = 0.5;
+const PROXIMITY_SCALE = 20; // Characters off at which the proximity score halves
+const WORD_EDGE_WEIGHT = 0.25;
+const FUZZY_MIN_LENGTH = 4; // Shorter text matches nearly anywhere with one edit
+const FUZZY_MAX_ERROR_RATE = 0.25;
+const CONTEXT_SCAN_LIMIT = 64; // Characters of context compared on each side
+
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+// [{ segment, index }] for each user-perceived character
+function splitGraphemes(text) {
+  if (graphemeSegmenter) {
+    return Array.from(graphemeSegmenter.segment(text), ({ segment, index }) => ({ segment, index }));
+  }
+  // Without Intl.Segmenter: a base character with its combining marks
+  return Array.from(text.matchAll(/\P{M}\p{M}*|\p{M}+/gu), match => ({ segment: match[0], index: match.index }));
+}
+
+// Lowercase without accents, with every whitespace character as a space
+function foldGrapheme(grapheme) {
+  if (/^\s+$/u.test(grapheme)) return ' ';
+  return grapheme.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().normalize('NFC');
+}
+
+// The text as compared at one level ('exact': NFC only, 'folded': see foldGrapheme,
+// whitespace runs collapsed), with each character's grapheme position in the original
+function createSearchText(text, level) {
+  let value = '';
+  const starts = [];
+  const ends = [];
+
+  splitGraphemes(text).forEach(({ segment, index }) => {
+    let converted = level === 'folded' ? foldGrapheme(segment) : segment.normalize('NFC');
+    if (level === 'folded' && converted === ' ' && value.endsWith(' ')) converted = '';
+
+    for (let i = 0; i < converted.length; i++) {
+      starts.push(index);
+      ends.push(index + segment.length);
+    }
+    value += converted;
+  });
+
+  return { value, starts, ends };
+}
+
+function convertText(text, level) {
+  return createSearchText(text, level).value;
+}
+
+// Original offsets of the search-text range [from, to)
+function toOriginalRange(search, from, to) {
+  return { start: search.starts[from], end: search.ends[to - 1] };
+}
+
+function findOccurrences(value, needle) {
+  const found = [];
+  if (!needle) return found;
+  let index = value.indexOf(needle);
+  while (index !== -1) {
+    found.push({ from: index, to: index + needle.length, distance: 0 });
+    index = value.indexOf(needle, index + 1);
+  }
+  return found;
+}
+
+// Approximate substring search (Sellers' algorithm): the best match ending at each
+// position of `value` with at most maxDistance edits, with where it starts
+function findApproximateMatches(value, pattern, maxDistance) {
+  let costs = Array.from({ length: pattern.length + 1 }, (_, i) => i);
+  let starts = new Array(pattern.length + 1).fill(0);
+  const matches = [];
+
+  for (let j = 0; j < value.length; j++) {
+    const nextCosts = [0];
+    const nextStarts = [j + 1];
+
+    for (let i = 1; i <= pattern.length; i++) {
+      const substitution = costs[i - 1] + (pattern[i - 1] === value[j] ? 0 : 1);
+      const extraInText = costs[i] + 1;
+      const missingInText = nextCosts[i - 1] + 1;
+
+      if (substitution <= extraInText && substitution <= missingInText) {
+        nextCosts.push(substitution);
+        nextStarts.push(starts[i - 1]);
+      } else if (extraInText <= missingInText) {
+        nextCosts.push(extraInText);
+        nextStarts.push(starts[i]);
+      } else {
+        nextCosts.push(missingInText);
+        nextStarts.push(nextStarts[i - 1]);
+      }
+    }
+
+    if (nextCosts[pattern.length] <= maxDistance) {
+      matches.push({ from: nextStarts[pattern.length], to: j + 1, distance: nextCosts[pattern.length] });
+    }
+    costs = nextCosts;
+    starts = nextStarts;
+  }
+
+  // Overlapping matches are one near miss; keep its closest, then tightest, version
+  const best = [];
+  matches.forEach((match) => {
+    const last = best[best.length - 1];
+    if (last && match.from < last.to) {
+      const better = match.distance < last.distance ||
+        (match.distance === last.distance && Math.abs(match.to - match.from - pattern.length) < Math.abs(last.to - last.from - pattern.length));
+      if (better) best[best.length - 1] = match;
+    } else {
+      best.push(match);
+    }
+  });
+  return best;
+}
+
+function commonPrefixLength(a, b) {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) length++;
+  return length;
+}
+
+function commonSuffixLength(a, b) {
+  let length = 0;
+  while (length < a.length && length < b.length && a[a.length - 1 - length] === b[b.length - 1 - length]) length++;
+  return length;
+}
+
+// 0..1: how much of the expected prefix and suffix surround [start, end), compared folded
+function scoreContext(text, start, end, prefix, suffix) {
+  if (!prefix && !suffix) return 0;
+
+  const before = convertText(text.slice(Math.max(0, start - CONTEXT_SCAN_LIMIT), start), 'folded');
+  const after = convertText(text.slice(end, end + CONTEXT_SCAN_LIMIT), 'folded');
+  const matched = commonSuffixLength(before, prefix) + commonPrefixLength(after, suffix);
+  return matched / (prefix.length + suffix.length);
+}
+
+function isWordCharacter(char) {
+  return Boolean(char) && /[\p{L}\p{N}\p{M}]/u.test(char);
+}
+
+// Pick the best-scoring candidate; ties go to the one nearest the given offsets
+function chooseCandidate(text, search, candidates, suggestion, { fuzzy = false, patternLength = 1 } = {}) {
+  const prefix = convertText(suggestion.prefix || '', 'folded');
+  const suffix = convertText(suggestion.suffix || '', 'folded');
+  const hint = Number.isInteger(suggestion.start) ? suggestion.start : null;
+  // Quoted words should match whole words, not the inside of longer ones ("de" in "donde")
+  const quoted = suggestion.problematicText;
+  const startsWithWord = isWordCharacter(quoted[0]);
+  const endsWithWord = isWordCharacter(quoted[quoted.length - 1]);
+
+  let best = null;
+  candidates.forEach((candidate, occurrence) => {
+    const { start, end } = toOriginalRange(search, candidate.from, candidate.to);
+    const distanceFromHint = hint === null ? Infinity : Math.abs(start - hint);
+
+    let score = CONTEXT_WEIGHT * scoreContext(text, start, end, prefix, suffix);
+    if (!fuzzy && suggestion.occurrence === occurrence) {
+      score += OCCURRENCE_WEIGHT;
+    }
+    if (hint !== null) {
+      score += PROXIMITY_WEIGHT / (1 + distanceFromHint / PROXIMITY_SCALE);
+    }
+    if (startsWithWord && !isWordCharacter(text[start - 1])) {
+      score += WORD_EDGE_WEIGHT;
+    }
+    if (endsWithWord && !isWordCharacter(text[end])) {
+      score += WORD_EDGE_WEIGHT;
+    }
+    if (fuzzy) {
+      // Near misses should still look like the quoted text
+      score -= candidate.distance / patternLength;
+    }
+
+    if (!best || score > best.score || (score === best.score && distanceFromHint < best.distanceFromHint)) {
+      best = { start, end, score, distanceFromHint };
+    }
+  });
+  return best;
+}
+
+// Where suggestion.problematicText is in `text`: { start, end, text, method }, with
+// method 'exact' (the given offsets were right), 'normalized', 'folded' or 'fuzzy';
+// null when nothing close enough exists. Uses suggestion.start/end as a hint and the
+// optional prefix, suffix and occurrence (0-based) fields to tell repeats apart.
+function anchorSuggestion(text, suggestion) {
+  const quoted = suggestion.problematicText;
+  if (typeof text !== 'string' || typeof quoted !== 'string' || !quoted) return null;
+
+  // Offsets can quote the right word at the wrong occurrence ("de" is everywhere),
+  // so they are only trusted outright when the context agrees too
+  if (text.substring(suggestion.start, suggestion.end) === quoted) {
+    const prefix = convertText(suggestion.prefix || '', 'folded');
+    const suffix = convertText(suggestion.suffix || '', 'folded');
+    if ((!prefix && !suffix) || scoreContext(text, suggestion.start, suggestion.end, prefix, suffix) === 1) {
+      return { start: suggestion.start, end: suggestion.end, text: quoted, method: 'exact' };
+    }
+  }
+
+  const attempts = [
+    { method: 'normalized', level: 'exact' },
+    { method: 'folded', level: 'folded' },
+    { method: 'fuzzy', level: 'folded' }
+  ];
+
+  for (const { method, level } of attempts) {
+    const search = createSearchText(text, level);
+    const needle = convertText(quoted, level).trim() || convertText(quoted, level);
+
+    let candidates;
+    if (method === 'fuzzy') {
+      if (needle.length < FUZZY_MIN_LENGTH) return null;
+      const maxDistance = Math.max(1, Math.floor(needle.length * FUZZY_MAX_ERROR_RATE));
+      candidates = findApproximateMatches(search.value, needle, maxDistance);
+    } else {
+      candidates = findOccurrences(search.value, needle);
+    }
+    if (candidates.length === 0) continue;
+
+    const best = chooseCandidate(text, search, candidates, suggestion, {
+      fuzzy: method === 'fuzzy',
+      patternLength: needle.length
+    });
+    return { start: best.start, end: best.end, text: text.substring(best.start, best.end), method };
+  }
+  return null;
+}
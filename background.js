@@ -1,35 +1,432 @@
 // Background service worker: Handles LLM API calls
 
-const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
-const MODEL = 'claude-3-5-sonnet-20241022';
+importScripts('providers.js', 'keystore.js', 'journal.js', 'strictness.js', 'dictionary.js', 'siterules.js', 'privacy.js', 'usage.js', 'queue.js', 'rewrite.js', 'proficiency.js', 'schema.js', 'anchoring.js');
 
 // Listen for messages from content script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'analyzeText') {
-    console.log('[Lang Helper BG] Received analysis request for', request.text.length, 'characters');
-    analyzeTextWithLLM(request.text, request.language)
-      .then(suggestions => {
-        console.log('[Lang Helper BG] Returning', suggestions.length, 'suggestions');
-        sendResponse({ suggestions });
+  if (request.action === 'rewriteText') {
+    console.log('[Lang Helper BG] Received', request.mode, 'rewrite request for', request.text.length, 'characters');
+    enqueueRequest({
+      tabId: sender.tab ? sender.tab.id : -1,
+      key: getRequestKey(sender, request.elementId, 'rewrite'),
+      run: (signal) => rewriteTextWithLLM(request.text, request.language, request.mode, getSenderSites(sender), signal)
+    })
+      .then(result => {
+        reportProviderStatus(null);
+        sendResponse(result);
       })
       .catch(error => {
-        console.error('[Lang Helper BG] Error:', error.message);
-        sendResponse({ error: error.message });
+        if (error.name !== 'AbortError') {
+          console.error('[Lang Helper BG] Rewrite failed:', error.message);
+          reportProviderStatus(error);
+        }
+        sendResponse({ error: error.message, kind: error.kind || 'unknown' });
       });
     return true; // Keep channel open for async response
   }
+
+  // Content scripts can't open the options page themselves
+  if (request.action === 'openOptions') {
+    chrome.runtime.openOptionsPage();
+    return;
+  }
+
+  if (request.action === 'journalRecord') {
+    recordJournalEntry({
+      outcome: request.outcome,
+      language: request.language,
+      site: request.site,
+      suggestion: request.suggestion
+    })
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => {
+        console.error('[Lang Helper BG] Journal write failed:', error.message);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
+
+  if (request.action === 'getDismissals') {
+    getDismissals(request.field)
+      .then(dismissals => sendResponse({ dismissals }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'recordDismissal') {
+    recordDismissal(request.field, request.dismissal)
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
 });
 
-async function analyzeTextWithLLM(text, language) {
-  // Get API key from storage
-  const storage = await chrome.storage.sync.get(['apiKey']);
-  const apiKey = storage.apiKey;
+// Streaming analysis over a long-lived port: suggestions are posted one by one,
+// and closing the port from the content script cancels the request (queued or running)
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'analysis') return;
+
+  const controller = new AbortController();
+  let connected = true;
+
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    controller.abort();
+  });
+
+  const post = (message) => {
+    if (connected) port.postMessage(message);
+  };
+
+  port.onMessage.addListener((request) => {
+    if (request.action !== 'analyzeText') return;
+
+    console.log('[Lang Helper BG] Received streaming analysis request for', request.text.length, 'characters');
+    enqueueRequest({
+      tabId: port.sender.tab ? port.sender.tab.id : -1,
+      key: getRequestKey(port.sender, request.elementId),
+      signal: controller.signal,
+      run: (signal, job) => streamAnalysisWithLLM(request.text, request.language, getSenderSites(port.sender), (suggestion) => {
+        job.hasOutput = true;
+        post({ type: 'suggestion', suggestion });
+      }, signal)
+    })
+      .then(({ suggestions, problems }) => {
+        // A reply still invalid after the repair keeps its valid suggestions; the
+        // problems with the rest are reported alongside them
+        const error = problems.length > 0 ? createInvalidReplyError(problems) : null;
+        reportProviderStatus(error);
+        post(error
+          ? { type: 'done', suggestions, error: error.message, kind: error.kind }
+          : { type: 'done', suggestions });
+      })
+      .catch(error => {
+        if (error.name === 'AbortError') return;
+        console.error('[Lang Helper BG] Error:', error.message);
+        reportProviderStatus(error);
+        post({ type: 'error', error: error.message, kind: error.kind || 'unknown' });
+      });
+  });
+});
+
+// The last request's outcome, for the popup and the toolbar badge. Only written
+// when it changes, so successful requests don't rewrite storage.
+async function reportProviderStatus(error) {
+  const kind = error ? error.kind || 'unknown' : 'ok';
+  const { providerStatus } = await chrome.storage.local.get(['providerStatus']);
+  if ((providerStatus ? providerStatus.kind : 'ok') === kind) return;
+
+  chrome.storage.local.set({
+    providerStatus: { kind, message: error ? error.message : '', timestamp: Date.now() }
+  });
+  chrome.action.setBadgeText({ text: error ? '!' : '' });
+  chrome.action.setBadgeBackgroundColor({ color: '#c62828' });
+}
+
+// Dismissed suggestions per field (see getDismissalKey in content.js), kept for the
+// browser session. Content scripts can't read session storage themselves, since it
+// also holds the unlocked API key. Writes are chained so none is lost to a race.
+const MAX_DISMISSALS_PER_FIELD = 200;
+let dismissalWrite = Promise.resolve();
+
+async function getDismissals(field) {
+  const { dismissals = {} } = await chrome.storage.session.get(['dismissals']);
+  return dismissals[field] || [];
+}
+
+function recordDismissal(field, dismissal) {
+  const write = dismissalWrite.then(async () => {
+    const { dismissals = {} } = await chrome.storage.session.get(['dismissals']);
+    const others = (dismissals[field] || []).filter(existing => JSON.stringify(existing) !== JSON.stringify(dismissal));
+    dismissals[field] = [...others, dismissal].slice(-MAX_DISMISSALS_PER_FIELD);
+    await chrome.storage.session.set({ dismissals });
+  });
+  dismissalWrite = write.catch(() => {});
+  return write;
+}
+
+// One key per field and kind of request, so a newer request for the same field
+// replaces the older one (a rewrite doesn't cancel the field's analysis)
+function getRequestKey(sender, elementId, kind = 'analysis') {
+  if (elementId === undefined) return null;
+  return `${sender.tab ? sender.tab.id : -1}:${sender.frameId || 0}:${elementId}:${kind}`;
+}
+
+function getHostname(url) {
+  try {
+    return url ? new URL(url).hostname : '';
+  } catch (error) {
+    return '';
+  }
+}
+
+// The sites a request comes from, as Chrome reports the sender rather than as the
+// page claims: the tab's top-level page, then the frame's own page when the field
+// is in an iframe. The site rules have to allow every one of them.
+function getSenderSites(sender) {
+  const hostnames = [getHostname(sender.tab && sender.tab.url), getHostname(sender.url)];
+  return [...new Set(hostnames.filter(Boolean))];
+}
+
+// Once the monthly budget is spent, either refuse LLM requests or let one through
+// per THROTTLE_INTERVAL_MS. The last request time lives in the worker, so a restarted
+// worker lets one extra request through, which is fine for a throttle.
+let lastThrottledRequestAt = 0;
+
+async function enforceBudget() {
+  const { state, budgetAction } = await getBudgetStatus();
+  if (state !== 'exceeded') return;
+
+  if (budgetAction === 'pause') {
+    throw createProviderError('budget');
+  }
+  if (Date.now() - lastThrottledRequestAt < THROTTLE_INTERVAL_MS) {
+    throw createProviderError('throttled');
+  }
+  lastThrottledRequestAt = Date.now();
+}
+
+function prepareAnalysisRequest(text, language, sites) {
+  return prepareProviderRequest(text, language, sites, async (redaction) =>
+    buildAnalysisPrompt(redaction.text, language, { ...await getAnalysisSettings(), redaction })
+  );
+}
+
+// Everything that happens before text leaves the browser: the site's "never send"
+// rule, the budget, redaction of sensitive data, and the audit log entry for what is
+// sent. buildPrompt(redaction) only ever sees the redacted text. `site`, the first
+// of `sites` (see getSenderSites), is what the audit log and usage are filed under.
+async function prepareProviderRequest(text, language, sites, buildPrompt) {
+  const siteSettings = await getSiteSettings();
+  const refused = (sites.length > 0 ? sites : ['']).find(site => !getSiteRule(siteSettings, site).sendToProvider);
+  if (refused !== undefined) {
+    throw new Error(`Sending text from ${refused} is turned off in the site rules`);
+  }
+
+  const site = sites[0] || '';
+  await enforceBudget();
+
+  const config = await getProviderConfig();
+  const redactionSettings = await getRedactionSettings();
+  const redaction = redactionSettings.enabled
+    ? redactText(text, redactionSettings.terms)
+    : { text, replacements: [] };
+
+  const prompt = await buildPrompt(redaction);
+  if (redaction.replacements.length > 0) {
+    console.log('[Lang Helper BG] Redacted', redaction.replacements.length, 'sensitive values before sending');
+  }
+
+  await recordAuditEntry({
+    site,
+    provider: config.provider.label,
+    model: config.model,
+    language,
+    text: redaction.text,
+    replacements: redaction.replacements
+  });
+
+  return { config, prompt, redaction, site };
+}
+
+// The model only saw the redacted text: verify positions against that, then map
+// each suggestion back onto the original
+function verifyRedactedSuggestion(suggestion, redaction, index) {
+  const verified = verifySuggestionPosition(suggestion, redaction.text, index);
+  return verified && restoreSuggestion(verified, redaction);
+}
+
+// Ask for a reply following `schema` and check it with `validate` (see schema.js).
+// A reply with problems gets one repair request; if that fails too, the problems
+// are thrown as an 'invalid_response' error rather than dropped.
+async function callProviderStructured(config, prompt, schema, validate, signal, onUsage) {
+  const reply = await callProvider(config, prompt, signal, schema);
+  console.log('[Lang Helper BG] Response received from', config.provider.label, `(${config.model})`);
+  onUsage(reply.usage);
+
+  const result = readStructuredReply(reply.text, validate);
+  if (result.problems.length === 0) return result;
+
+  console.warn('[Lang Helper BG] Invalid reply, asking for a repair:', result.problems.join('; '));
+  const repaired = await callProvider(config, buildRepairPrompt(prompt, reply.text, result.problems), signal, schema);
+  onUsage(repaired.usage);
+
+  const repairedResult = readStructuredReply(repaired.text, validate);
+  if (repairedResult.problems.length > 0) {
+    throw createInvalidReplyError(repairedResult.problems);
+  }
+  return repairedResult;
+}
+
+// Analysis, streamed: each suggestion is validated, verified and handed to onSuggestion
+// as soon as its JSON object is complete, instead of after the whole response. If
+// anything in the reply was invalid, one repair request runs after the stream and
+// only the suggestions not shown yet are added. Resolves with { suggestions, problems },
+// the problems being those the repaired reply still has.
+async function streamAnalysisWithLLM(text, language, sites, onSuggestion, signal) {
+  const { config, prompt, redaction, site } = await prepareAnalysisRequest(text, language, sites);
+  const trackUsage = (usage) => recordUsage({ providerId: config.id, model: config.model, site, language, usage });
+  const verified = [];
+  const shown = new Set();
+  let problems = [];
+  let parsedCount = 0;
+
+  const handleSuggestion = (suggestion) => {
+    const index = parsedCount++;
+    const found = validateSuggestion(suggestion);
+    if (found.length > 0) {
+      problems.push(...found.map(problem => `suggestions[${index}].${problem}`));
+      return;
+    }
+
+    const corrected = verifyRedactedSuggestion(suggestion, redaction, index);
+    const key = corrected && `${corrected.start}:${corrected.end}:${corrected.correction}`;
+    if (corrected && !shown.has(key)) {
+      shown.add(key);
+      verified.push(corrected);
+      onSuggestion(corrected);
+    }
+  };
+
+  const parser = createSuggestionStreamParser(handleSuggestion);
+  const { text: content, usage } = await streamProvider(config, prompt, (piece) => parser.push(piece), signal, SUGGESTION_SCHEMA);
+  console.log('[Lang Helper BG] Stream finished from', config.provider.label, `(${config.model})`);
+  trackUsage(usage);
+
+  // The whole reply, read once: its suggestions when nothing came out incrementally
+  // (e.g. unusual formatting), otherwise only whether it was cut off
+  const reply = readStructuredReply(content, validateSuggestionReply);
+  if (parsedCount === 0) {
+    problems = reply.problems;
+    reply.suggestions.forEach(handleSuggestion);
+  } else if (reply.problems.includes(INVALID_JSON_PROBLEM)) {
+    problems.push(`${INVALID_JSON_PROBLEM} (it may have been cut off)`);
+  }
+
+  if (problems.length > 0) {
+    console.warn('[Lang Helper BG] Invalid streamed reply, asking for a repair:', problems.join('; '));
+    const repaired = await callProvider(config, buildRepairPrompt(prompt, content, problems), signal, SUGGESTION_SCHEMA);
+    trackUsage(repaired.usage);
 
-  if (!apiKey) {
-    throw new Error('API key not configured');
+    const result = readStructuredReply(repaired.text, validateSuggestionReply);
+    parsedCount = 0;
+    result.suggestions.forEach(handleSuggestion);
+    problems = result.problems;
+    if (problems.length > 0) {
+      console.warn('[Lang Helper BG] Repaired reply is still invalid, keeping its valid suggestions:', problems.join('; '));
+    }
   }
 
-  const prompt = `You are a language learning assistant. Analyze the following text written in ${language} and identify any grammar mistakes, spelling errors, awkward phrasing, or style issues.
+  console.log(`[Lang Helper BG] Streamed ${verified.length} suggestions`);
+  return { suggestions: verified, problems };
+}
+
+// A whole-text rewrite in one of REWRITE_MODES, with the word-level diff against
+// the original. Placeholders for redacted values are put back before diffing, so
+// the page never sees them.
+async function rewriteTextWithLLM(text, language, mode, sites, signal) {
+  const rewriteMode = REWRITE_MODES[mode] ? mode : DEFAULT_REWRITE_MODE;
+  const { config, prompt, redaction, site } = await prepareProviderRequest(text, language, sites, async (redacted) =>
+    buildRewritePrompt(redacted.text, language, rewriteMode, { profile: await getProficiencySettings(), redaction: redacted })
+  );
+
+  const parsed = await callProviderStructured(config, prompt, REWRITE_SCHEMA, validateRewriteReply, signal, (usage) => {
+    recordUsage({ providerId: config.id, model: config.model, site, language, usage });
+  });
+
+  const rewrite = restorePlaceholders(parsed.rewrite, redaction);
+  return {
+    mode: rewriteMode,
+    rewrite,
+    diff: diffWords(text, rewrite),
+    notes: parsed.notes.map(note => restorePlaceholders(note, redaction))
+  };
+}
+
+// Check a suggestion's offsets against the text, moving it to where its text actually
+// is (see anchoring.js). A near miss takes the page's spelling of the quoted text.
+function verifySuggestionPosition(suggestion, text, index) {
+  const anchor = anchorSuggestion(text, suggestion);
+  if (!anchor) {
+    console.error(`[Lang Helper BG] ✗ Could not find "${suggestion.problematicText}" in text, skipping suggestion ${index}`);
+    return null;
+  }
+
+  if (anchor.method !== 'exact') {
+    console.log(`[Lang Helper BG] ✓ Suggestion ${index} re-anchored (${anchor.method}) from ${suggestion.start}-${suggestion.end} to ${anchor.start}-${anchor.end}: "${anchor.text}"`);
+  }
+  return { ...suggestion, start: anchor.start, end: anchor.end, problematicText: anchor.text };
+}
+
+// Incremental JSON reader: emits every object that is an element of an array as
+// soon as its closing brace arrives, ignoring code fences or other text around it
+function createSuggestionStreamParser(onObject) {
+  let buffer = '';
+  let scanned = 0;
+  const stack = []; // Open containers: '[' or the buffer index of an object's '{'
+  let inString = false;
+  let escaped = false;
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+
+      for (; scanned < buffer.length; scanned++) {
+        const char = buffer[scanned];
+
+        if (inString) {
+          if (escaped) {
+            escaped = false;
+          } else if (char === '\\') {
+            escaped = true;
+          } else if (char === '"') {
+            inString = false;
+          }
+          continue;
+        }
+
+        if (char === '"' && stack.length > 0) {
+          inString = true;
+        } else if (char === '[') {
+          stack.push('[');
+        } else if (char === '{') {
+          stack.push(scanned);
+        } else if (char === ']' && stack[stack.length - 1] === '[') {
+          stack.pop();
+        } else if (char === '}' && typeof stack[stack.length - 1] === 'number') {
+          const objectStart = stack.pop();
+          if (stack[stack.length - 1] === '[') {
+            try {
+              onObject(JSON.parse(buffer.substring(objectStart, scanned + 1)));
+            } catch (error) {
+              console.warn('[Lang Helper BG] Skipping unparseable streamed object:', error.message);
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+// Strictness, category and learner settings that shape what the prompt asks for
+async function getAnalysisSettings() {
+  const { strictness, categories } = await chrome.storage.sync.get(['strictness', 'categories']);
+  const { dictionary, ignoreList } = await getDictionaryLists();
+  return { strictness, categories, dictionary, ignoreList, profile: await getProficiencySettings() };
+}
+
+function buildAnalysisPrompt(text, language, { strictness, categories, dictionary = [], ignoreList = [], profile = normalizeProficiency(), redaction = null } = {}) {
+  const dictionaryInstructions = buildDictionaryInstructions(dictionary, ignoreList);
+  const redactionInstructions = redaction ? buildRedactionInstructions(redaction) : '';
+  const extraFields = getProficiencyFields(profile).map(field => `,\n    ${field}`).join('');
+
+  return `You are a language learning assistant. Analyze the following text written in ${language} and identify any grammar mistakes, spelling errors, awkward phrasing, or style issues.
+
+WHAT TO REPORT:
+${buildStrictnessInstructions(strictness, categories)}${dictionaryInstructions ? `\n${dictionaryInstructions}` : ''}${redactionInstructions ? `\n${redactionInstructions}` : ''}
+
+HOW TO EXPLAIN:
+${buildProficiencyInstructions(profile, language)}
 
 Text to analyze (character positions are zero-indexed):
 """
@@ -50,141 +447,92 @@ Text: "Hello\nworld" (Hello, newline, world)
 - Position 6-10: "world"
 - If "world" is wrong: {"start": 6, "end": 11, "problematicText": "world"}
 
-Respond ONLY with a JSON array in this EXACT format:
-[
+Respond ONLY with a JSON object in this EXACT format:
+{"suggestions": [
   {
     "start": <number>,
     "end": <number>,
     "problematicText": "<extract text.substring(start, end) HERE>",
+    "prefix": "<up to 20 characters right before problematicText>",
+    "suffix": "<up to 20 characters right after problematicText>",
+    "occurrence": <how many times problematicText appears earlier in the text>,
     "severity": "error|warning|info|style",
+    "category": "${Object.keys(ISSUE_CATEGORIES).join('|')}",
     "message": "<brief description>",
     "correction": "<suggested correction>",
-    "explanation": "<detailed explanation>"
+    "explanation": "<detailed explanation>"${extraFields}
   }
-]
-
-VERIFICATION STEP: For each issue, verify that text.substring(start, end) matches your problematicText field exactly.
-
-Return ONLY the JSON array. If no issues: []`;
-
-  try {
-    const response = await fetch(ANTHROPIC_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-        'anthropic-dangerous-direct-browser-access': 'true'
-      },
-      body: JSON.stringify({
-        model: MODEL,
-        max_tokens: 2048,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      })
-    });
+]}
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`API error: ${errorData.error?.message || response.statusText}`);
-    }
-
-    const data = await response.json();
-    const content = data.content[0].text;
-
-    // Parse JSON response
-    const suggestions = parseJSONResponse(content);
+VERIFICATION STEP: For each issue, verify that text.substring(start, end) matches your problematicText field exactly, and copy "prefix" and "suffix" from the text around it so a repeated word can be told apart.
 
-    // Verify and auto-correct positions
-    console.log('[Lang Helper BG] Verifying positions for', suggestions.length, 'suggestions');
-    console.log('[Lang Helper BG] Text preview:', text.substring(0, 100) + '...');
+Return ONLY the JSON object. If no issues: {"suggestions": []}`;
+}
 
-    const correctedSuggestions = suggestions.map((suggestion, index) => {
-      const actualText = text.substring(suggestion.start, suggestion.end);
+function buildRewritePrompt(text, language, mode, { profile = normalizeProficiency(), redaction = null } = {}) {
+  const redactionInstructions = redaction ? buildRedactionInstructions(redaction) : '';
 
-      console.log(`[Lang Helper BG] Checking suggestion ${index}: "${suggestion.problematicText}" at ${suggestion.start}-${suggestion.end}`);
-      console.log(`[Lang Helper BG]   Text at that position: "${actualText}"`);
-      console.log(`[Lang Helper BG]   Context: "...${text.substring(Math.max(0, suggestion.start - 10), suggestion.start)}[${actualText}]${text.substring(suggestion.end, Math.min(text.length, suggestion.end + 10))}..."`);
+  return `You are a language learning assistant. Rewrite the following text written in ${language}.
 
-      if (actualText === suggestion.problematicText) {
-        console.log(`[Lang Helper BG] ✓ Suggestion ${index} positions correct: "${actualText}"`);
-        return suggestion;
-      }
+HOW TO REWRITE:
+${REWRITE_MODES[mode].instruction}
+Keep the meaning, the language (${language}), names, and the line breaks between paragraphs. Fix any mistakes along the way. Change only what the rewrite calls for.${redactionInstructions ? `\n${redactionInstructions}` : ''}
 
-      // Position is wrong, try to find the correct position
-      console.warn(`[Lang Helper BG] Position mismatch for suggestion ${index}:`);
-      console.warn(`  Expected: "${suggestion.problematicText}"`);
-      console.warn(`  Got: "${actualText}"`);
-
-      // Search for the problematic text in the original text
-      const searchText = suggestion.problematicText;
-      let foundIndex = text.indexOf(searchText);
-
-      // If found, update positions
-      if (foundIndex !== -1) {
-        const corrected = {
-          ...suggestion,
-          start: foundIndex,
-          end: foundIndex + searchText.length
-        };
-        console.log(`[Lang Helper BG] ✓ Auto-corrected to positions ${foundIndex}-${foundIndex + searchText.length}`);
-        return corrected;
-      }
-
-      // Try case-insensitive search
-      const lowerText = text.toLowerCase();
-      const lowerSearch = searchText.toLowerCase();
-      foundIndex = lowerText.indexOf(lowerSearch);
-
-      if (foundIndex !== -1) {
-        const corrected = {
-          ...suggestion,
-          start: foundIndex,
-          end: foundIndex + searchText.length
-        };
-        console.log(`[Lang Helper BG] ✓ Auto-corrected (case-insensitive) to positions ${foundIndex}-${foundIndex + searchText.length}`);
-        return corrected;
-      }
+Text to rewrite:
+"""
+${text}
+"""
 
-      console.error(`[Lang Helper BG] ✗ Could not find "${searchText}" in text, skipping this suggestion`);
-      return null;
-    }).filter(s => s !== null);
+Respond ONLY with a JSON object in this EXACT format:
+{
+  "rewrite": "<the complete rewritten text>",
+  "notes": ["<short explanation of one important change>"]
+}
 
-    console.log(`[Lang Helper BG] Returning ${correctedSuggestions.length} suggestions (${suggestions.length - correctedSuggestions.length} filtered)`);
-    return correctedSuggestions;
-  } catch (error) {
-    console.error('LLM Analysis failed:', error);
-    throw error;
-  }
+Give at most 5 notes, written in ${getExplanationLanguage(profile, language)} for a CEFR ${profile.cefrLevel} learner. If the text needs no change, return it unchanged with no notes.`;
 }
 
-function parseJSONResponse(text) {
-  try {
-    // Try to extract JSON from markdown code blocks if present
-    const jsonMatch = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-    const jsonText = jsonMatch ? jsonMatch[1] : text;
+// Keyboard commands act on the focused field, so hand them to the active tab's content script
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (!tab || tab.id === undefined) return;
+  chrome.tabs.sendMessage(tab.id, { action: 'shortcut', command }).catch(() => {});
+});
 
-    const parsed = JSON.parse(jsonText.trim());
-    return Array.isArray(parsed) ? parsed : [];
-  } catch (error) {
-    console.error('Failed to parse LLM response:', error);
-    console.error('Response text:', text);
-    return [];
-  }
+// Rewrites are picked from the context menu of any editable field; the content
+// script in that frame finds the focused field and shows the preview
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const mode = String(info.menuItemId).replace(/^rewrite-/, '');
+  if (!tab || tab.id === undefined || !REWRITE_MODES[mode]) return;
+  chrome.tabs.sendMessage(tab.id, { action: 'rewrite', mode }, { frameId: info.frameId || 0 }).catch(() => {});
+});
+
+function createRewriteMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({ id: 'rewrite', title: 'Rewrite with Language Assistant', contexts: ['editable'] });
+    Object.entries(REWRITE_MODES).forEach(([mode, { label }]) => {
+      chrome.contextMenus.create({ id: `rewrite-${mode}`, parentId: 'rewrite', title: label, contexts: ['editable'] });
+    });
+  });
 }
 
 // Handle extension installation
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Language Learning Assistant installed');
 
-  // Set default settings
-  chrome.storage.sync.get(['targetLanguage', 'enabled'], (result) => {
-    if (!result.targetLanguage) {
-      chrome.storage.sync.set({ targetLanguage: 'Spanish', enabled: true });
+  createRewriteMenus();
+
+  migrateApiKeyFromSync().catch(error => {
+    console.error('[Lang Helper BG] Moving the API key out of sync storage failed:', error.message);
+  });
+
+  // Set default settings, carrying a single targetLanguage from older versions over
+  chrome.storage.sync.get(['targetLanguage', 'targetLanguages', 'enabled'], (result) => {
+    if (!result.targetLanguages) {
+      chrome.storage.sync.set({
+        targetLanguages: [result.targetLanguage || 'Spanish'],
+        enabled: result.enabled !== false
+      });
+      chrome.storage.sync.remove('targetLanguage');
     }
   });
 });
@@ -1,49 +1,256 @@
 // Content script: Monitors text input and displays suggestions
 
 let currentSettings = {
-  targetLanguage: 'Spanish',
-  apiKey: '',
-  enabled: true
+  targetLanguages: DEFAULT_TARGET_LANGUAGES,
+  provider: 'anthropic',
+  apiKeyConfigured: false,
+  enabled: true,
+  strictness: DEFAULT_STRICTNESS,
+  categories: {},
+  dictionary: [],
+  ignoreList: [],
+  shortcuts: {}
 };
 
-let analysisTimeout = null;
+// Local providers run without a key; hosted ones need one before we send anything
+const KEYLESS_PROVIDERS = ['ollama', 'local'];
+
+let hideTooltipTimeout = null;
 let activeElement = null;
 let suggestionOverlay = null;
-let currentAnalysis = null; // Track ongoing analysis
 let elementSuggestions = new WeakMap(); // Store all suggestions per element
-let activeOverlays = new Map(); // Track element -> overlay mapping for cleanup
+let activeOverlays = new Map(); // element -> per-field state, see getFieldState()
+let journaledSuggestions = new Set(); // Suggestions already logged as seen on this page
+let dismissedSuggestions = new WeakMap(); // element -> dismissals, see createDismissal()
+let tooltipTarget = null; // { suggestion, mark } currently shown in the tooltip
+let replacingText = false; // Set while we edit a field, so our own input events are ignored
+let settingsLoaded = false; // Fields aren't monitored until the site rules are known
+let monitoredFields = new Set(); // Fields with our listeners attached
+let nextFieldId = 1;
 
 // Load settings from storage
-chrome.storage.sync.get(['targetLanguage', 'apiKey', 'enabled'], (result) => {
-  currentSettings = { ...currentSettings, ...result };
+// The key itself stays with the service worker; content scripts only learn whether one is set
+chrome.storage.local.get(['apiKeyConfigured'], (result) => {
+  currentSettings.apiKeyConfigured = Boolean(result.apiKeyConfigured);
+});
+
+chrome.storage.sync.get(['targetLanguage', 'targetLanguages', 'provider', 'enabled', 'strictness', 'categories', 'shortcuts', ...PROFICIENCY_KEYS, ...DICTIONARY_LISTS, ...SITE_RULE_KEYS], (result) => {
+  currentSettings = { ...currentSettings, ...result, targetLanguages: getTargetLanguages(result) };
+  settingsLoaded = true;
+  monitorPage();
 });
 
 // Listen for settings changes
 chrome.storage.onChanged.addListener((changes) => {
-  if (changes.targetLanguage) currentSettings.targetLanguage = changes.targetLanguage.newValue;
-  if (changes.apiKey) currentSettings.apiKey = changes.apiKey.newValue;
+  if (changes.targetLanguages) currentSettings.targetLanguages = getTargetLanguages({ targetLanguages: changes.targetLanguages.newValue });
+  if (changes.provider) currentSettings.provider = changes.provider.newValue;
+  if (changes.apiKeyConfigured) currentSettings.apiKeyConfigured = Boolean(changes.apiKeyConfigured.newValue);
   if (changes.enabled !== undefined) currentSettings.enabled = changes.enabled.newValue;
+  if (changes.strictness) currentSettings.strictness = changes.strictness.newValue;
+  if (changes.categories) currentSettings.categories = changes.categories.newValue || {};
+  if (changes.dictionary) currentSettings.dictionary = changes.dictionary.newValue || [];
+  if (changes.ignoreList) currentSettings.ignoreList = changes.ignoreList.newValue || [];
+  if (changes.shortcuts) currentSettings.shortcuts = changes.shortcuts.newValue || {};
+  [...PROFICIENCY_KEYS, ...SITE_RULE_KEYS].forEach(key => {
+    if (changes[key]) currentSettings[key] = changes[key].newValue;
+  });
+
+  // Stop or start monitoring fields the site rules now cover differently
+  if (SITE_RULE_KEYS.some(key => changes[key]) || changes.enabled) {
+    applySiteRules();
+  }
+
+  // Re-filter what is already on screen so the new settings show immediately
+  const filtersChanged = changes.strictness || changes.categories || changes.dictionary || changes.ignoreList;
+  if (filtersChanged) {
+    new Set([activeElement, ...activeOverlays.keys()]).forEach(element => {
+      const storedData = element && elementSuggestions.get(element);
+      if (storedData) displaySuggestions(storedData.suggestions, element);
+    });
+  }
 });
 
+// The site the user sees in the address bar, which the site rules (and the popup's
+// toggle) are written for: for a frame, the top-level page's hostname, the last of
+// its ancestor origins. Opaque origins ("null") fall back to the frame's own.
+function getPageHostname() {
+  const origins = location.ancestorOrigins;
+  const topOrigin = origins && origins.length > 0 ? origins[origins.length - 1] : '';
+  try {
+    if (topOrigin && topOrigin !== 'null') return new URL(topOrigin).hostname;
+  } catch (error) {
+    // Not a URL; use the frame's hostname
+  }
+  return location.hostname;
+}
+
+// The global switch plus this site's allow/block rules
+function isEnabledHere() {
+  return currentSettings.enabled && getSiteRule(currentSettings, getPageHostname()).enabled;
+}
+
+// A per-site language replaces the global study languages on that site
+function getStudyLanguages() {
+  return getSiteRule(currentSettings, getPageHostname()).languages || currentSettings.targetLanguages;
+}
+
+function shouldMonitorField(element) {
+  return isEnabledHere() && !isFieldOptedOut(element, getFieldOptOuts(currentSettings));
+}
+
+// Strictness, categories and the learner profile change the model's answer, so they
+// are part of the cache scope
+function getAnalysisScope(language) {
+  const categories = getEnabledCategories(currentSettings.categories).join(',');
+  const profile = PROFICIENCY_KEYS.map(key => currentSettings[key] || '').join(',');
+  return `${language}|${currentSettings.strictness}|${categories}|${profile}`;
+}
+
+function filterSuggestions(suggestions, element) {
+  const text = element ? getTextWithLineBreaks(element) : '';
+
+  return filterSuggestionsBySettings(suggestions, currentSettings.strictness, currentSettings.categories)
+    .filter(suggestion => !isSuggestionIgnored(suggestion, currentSettings.dictionary, currentSettings.ignoreList))
+    .filter(suggestion => !element || !isSuggestionDismissed(suggestion, element, text));
+}
+
+const DISMISSAL_CONTEXT_LENGTH = 12; // Characters on each side that identify a dismissed spot
+
+// A dismissal names the flagged text and its correction, and unless it covers every
+// suggestion like that, the text around it rather than its offset or occurrence. So it
+// still matches after typing (even the same words) elsewhere in the field, after a
+// re-analysis and after a reload.
+function createDismissal(suggestion, text, likeThis = false) {
+  const dismissal = { problematicText: suggestion.problematicText, correction: suggestion.correction };
+  if (likeThis) return dismissal;
+
+  return {
+    ...dismissal,
+    prefix: text.substring(Math.max(0, suggestion.start - DISMISSAL_CONTEXT_LENGTH), suggestion.start),
+    suffix: text.substring(suggestion.end, suggestion.end + DISMISSAL_CONTEXT_LENGTH)
+  };
+}
+
+// Context cut short by the start or end of the text matches any longer context
+function matchesDismissal(suggestion, text, dismissal) {
+  if (suggestion.problematicText !== dismissal.problematicText || suggestion.correction !== dismissal.correction) {
+    return false;
+  }
+  if (dismissal.prefix === undefined) return true;
+
+  return text.substring(0, suggestion.start).endsWith(dismissal.prefix) &&
+    text.substring(suggestion.end).startsWith(dismissal.suffix);
+}
+
+function isSuggestionDismissed(suggestion, element, text) {
+  const dismissed = dismissedSuggestions.get(element);
+  return Boolean(dismissed) && dismissed.some(dismissal => matchesDismissal(suggestion, text, dismissal));
+}
+
+// Where a field's dismissals are kept: the page plus the field's id, name or position
+// among the fields around it, which all survive a reload
+function getDismissalKey(element) {
+  const root = element.getRootNode();
+  const field = element.id
+    ? `#${element.id}`
+    : element.getAttribute('name') || Array.from(root.querySelectorAll(TEXT_FIELD_SELECTOR)).indexOf(element);
+  return `${getPageHostname()}${location.pathname}|${field}`;
+}
+
+// Bring back the field's dismissals from earlier in the browser session
+function loadDismissals(element) {
+  chrome.runtime.sendMessage({ action: 'getDismissals', field: getDismissalKey(element) })
+    .then(response => {
+      if (!response || !response.dismissals || response.dismissals.length === 0) return;
+
+      // A field that comes back is loaded again; keep one copy of each dismissal
+      const dismissed = dismissedSuggestions.get(element) || [];
+      const known = new Set(dismissed.map(dismissal => JSON.stringify(dismissal)));
+      dismissedSuggestions.set(element, [
+        ...dismissed,
+        ...response.dismissals.filter(dismissal => !known.has(JSON.stringify(dismissal)))
+      ]);
+
+      const storedData = elementSuggestions.get(element);
+      if (storedData) displaySuggestions(storedData.suggestions, element);
+    })
+    .catch(() => {});
+}
+
+// Offline rules only need the assistant enabled; LLM analysis also needs a usable provider
+// and a site whose text may be sent
+function canUseLLM() {
+  if (!isEnabledHere() || !getSiteRule(currentSettings, getPageHostname()).sendToProvider) return false;
+  return currentSettings.apiKeyConfigured || KEYLESS_PROVIDERS.includes(currentSettings.provider);
+}
+
 // Create suggestion overlay element
 function createSuggestionOverlay() {
   const overlay = document.createElement('div');
   overlay.id = 'lang-helper-overlay';
   overlay.className = 'lang-helper-suggestion-tooltip';
   overlay.style.display = 'none';
-  document.body.appendChild(overlay);
+  (document.body || document.documentElement).appendChild(overlay);
   return overlay;
 }
 
 // Initialize overlay
 if (!suggestionOverlay) {
   suggestionOverlay = createSuggestionOverlay();
+
+  suggestionOverlay.addEventListener('mouseenter', () => {
+    // Cancel hide when hovering over tooltip
+    if (hideTooltipTimeout) {
+      clearTimeout(hideTooltipTimeout);
+      hideTooltipTimeout = null;
+    }
+  });
+
+  suggestionOverlay.addEventListener('mouseleave', () => {
+    hideTooltip();
+  });
+}
+
+// Every field gets its own overlay, debounce timers and running analysis, so fields
+// side by side never cancel or hide each other's suggestions
+function getFieldState(element) {
+  let state = activeOverlays.get(element);
+  if (!state) {
+    state = {
+      overlay: null,
+      cleanup: null,
+      hideOverlappingMarks: null,
+      offlineTimeout: null,
+      analysisTimeout: null,
+      id: nextFieldId++, // Lets the background replace this field's older requests
+      analysis: null, // { text, controller }
+      language: null // Study language detected for the whole field
+    };
+    activeOverlays.set(element, state);
+  }
+  return state;
+}
+
+// Drop everything we hold for a field that left the page
+function disposeFieldState(element) {
+  const state = activeOverlays.get(element);
+  if (!state) return;
+
+  if (state.cleanup) state.cleanup();
+  clearTimeout(state.offlineTimeout);
+  clearTimeout(state.analysisTimeout);
+  if (state.analysis) state.analysis.controller.abort();
+  activeOverlays.delete(element);
 }
 
 // Track text input elements
 function setupTextMonitoring(element) {
   if (element.hasAttribute('data-lang-helper-monitored')) return;
+  // Site and field rules are checked before any listener is attached
+  if (!shouldMonitorField(element)) return;
   element.setAttribute('data-lang-helper-monitored', 'true');
+  monitoredFields.add(element);
+  loadDismissals(element);
 
   element.addEventListener('input', handleTextInput);
   element.addEventListener('focus', handleFocus);
@@ -51,21 +258,53 @@ function setupTextMonitoring(element) {
 
   // Analyze existing text after a delay to ensure settings are loaded
   setTimeout(() => {
+    if (!isEnabledHere()) return;
+    runOfflineCheck(element);
+
     const text = getTextWithLineBreaks(element);
-    if (text && text.trim().length >= 10 && currentSettings.enabled && currentSettings.apiKey) {
+    if (text && text.trim().length >= 10 && canUseLLM()) {
       analyzeText(text, element);
     }
-  }, 1000); // Delay to ensure settings are loaded
+  }, 1000); // Give the page a moment to fill the field
+}
+
+function stopTextMonitoring(element) {
+  element.removeEventListener('input', handleTextInput);
+  element.removeEventListener('focus', handleFocus);
+  element.removeEventListener('blur', handleBlur);
+  element.removeAttribute('data-lang-helper-monitored');
+  monitoredFields.delete(element);
+
+  disposeFieldState(element);
+  elementSuggestions.delete(element);
+  if (activeElement === element) {
+    hideTooltip();
+    activeElement = null;
+  }
+}
+
+// Re-check every monitored field after the rules change, then pick up newly allowed ones
+function applySiteRules() {
+  monitoredFields.forEach(element => {
+    if (!element.isConnected || !shouldMonitorField(element)) {
+      stopTextMonitoring(element);
+    }
+  });
+  monitorPage();
 }
 
 function handleFocus(event) {
   activeElement = event.target;
 
+  if (!isEnabledHere()) return;
+
   // Check if there's already text in the field and analyze it immediately
   const element = event.target;
   const text = getTextWithLineBreaks(element);
 
-  if (text && text.trim().length >= 10 && currentSettings.enabled && currentSettings.apiKey) {
+  runOfflineCheck(element);
+
+  if (text && text.trim().length >= 10 && canUseLLM()) {
     analyzeText(text, element);
   }
 }
@@ -77,16 +316,28 @@ function handleBlur(event) {
 }
 
 function handleTextInput(event) {
-  if (!currentSettings.enabled || !currentSettings.apiKey) {
+  if (!isEnabledHere() || replacingText) {
     return;
   }
 
   const element = event.target;
+  const state = getFieldState(element);
+
+  // Local rules are cheap, so they only wait for a short pause
+  clearTimeout(state.offlineTimeout);
+  state.offlineTimeout = setTimeout(() => {
+    runOfflineCheck(element);
+  }, 300);
+
+  if (!canUseLLM()) {
+    return;
+  }
+
   const text = getTextWithLineBreaks(element);
 
   // Debounce analysis
-  clearTimeout(analysisTimeout);
-  analysisTimeout = setTimeout(() => {
+  clearTimeout(state.analysisTimeout);
+  state.analysisTimeout = setTimeout(() => {
     analyzeText(text, element);
   }, 1500); // Wait 1.5s after user stops typing
 }
@@ -96,83 +347,469 @@ async function analyzeText(text, element) {
     return;
   }
 
-  // Check if already analyzing
-  if (currentAnalysis) {
-    return;
+  const state = getFieldState(element);
+  if (state.analysis) {
+    // Same request already running
+    if (state.analysis.text === text) {
+      return;
+    }
+
+    // The field changed under the running request: cancel it and start over
+    state.analysis.controller.abort();
   }
 
+  const analysis = { text, controller: new AbortController() };
+  state.analysis = analysis;
+
   try {
-    currentAnalysis = { text, element };
+    const segments = await detectFieldLanguages(element, text);
+    const offlineSuggestions = checkSegmentsOffline(segments);
 
-    // Send to background script for LLM analysis
-    const response = await chrome.runtime.sendMessage({
-      action: 'analyzeText',
-      text: text,
-      language: currentSettings.targetLanguage
+    const { suggestions: llmSuggestions, problem } = await analyzeSegments(segments, state.id, analysis.controller.signal, (allSuggestions, added) => {
+      showStreamedSuggestions(element, text, offlineSuggestions, allSuggestions, added);
     });
 
-    if (response && response.suggestions) {
-      // Store suggestions for this element
-      elementSuggestions.set(element, {
-        text: text,
-        suggestions: response.suggestions,
-        timestamp: Date.now()
-      });
+    // The text moved on while we were waiting; the next analysis will cover it
+    if (getTextWithLineBreaks(element) !== text) return;
+
+    // Layer the LLM results on top of the offline rules for the same text
+    const suggestions = mergeSuggestions(offlineSuggestions, llmSuggestions);
 
-      displaySuggestions(response.suggestions, element);
+    // Store suggestions for this element
+    elementSuggestions.set(element, {
+      text: text,
+      suggestions: suggestions,
+      llmSuggestions: llmSuggestions,
+      timestamp: Date.now()
+    });
+    if (problem) {
+      showProviderError(element, problem);
+    } else {
+      hideProviderError();
     }
   } catch (error) {
-    // Silently fail - analysis errors are not critical
+    // Cancellations are routine; provider problems get a notice by the field
+    if (error.name !== 'AbortError') {
+      showProviderError(element, error);
+    }
   } finally {
-    currentAnalysis = null;
+    if (state.analysis === analysis) {
+      state.analysis = null;
+    }
   }
 }
 
-function displaySuggestions(suggestions, element) {
-  // Remove previous highlights
-  removeHighlights(element);
+// A small notice under the field explaining why no suggestions arrive. Each kind of
+// problem can be closed for the rest of the page's life; passing ones hide by themselves.
+let providerErrorNotice = null;
+let closedProviderErrors = new Set();
+const TRANSIENT_PROVIDER_ERRORS = ['rate_limit', 'overloaded', 'network', 'server', 'throttled', 'invalid_response'];
 
-  if (!suggestions || suggestions.length === 0) return;
+function showProviderError(element, error) {
+  const kind = error.kind || 'unknown';
+  if (closedProviderErrors.has(kind)) return;
+  hideProviderError();
 
-  // For contenteditable or input elements, we'll use a wrapper approach
-  if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
-    createOverlayHighlights(suggestions, element);
-  } else if (element.isContentEditable) {
-    createInlineHighlights(suggestions, element);
+  const ownerDocument = element.ownerDocument;
+  const view = ownerDocument.defaultView;
+  const rect = element.getBoundingClientRect();
+
+  const notice = ownerDocument.createElement('div');
+  notice.className = 'lang-helper-error';
+  notice.style.left = rect.left + view.scrollX + 'px';
+  notice.style.top = rect.bottom + view.scrollY + 4 + 'px';
+
+  const message = ownerDocument.createElement('span');
+  message.textContent = `⚠️ ${error.message}`;
+
+  const settingsBtn = ownerDocument.createElement('button');
+  settingsBtn.className = 'lang-helper-error-btn';
+  settingsBtn.textContent = 'Settings';
+  settingsBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'openOptions' }).catch(() => {});
+  });
+
+  const closeBtn = ownerDocument.createElement('button');
+  closeBtn.className = 'lang-helper-error-btn';
+  closeBtn.title = 'Close';
+  closeBtn.textContent = '×';
+  closeBtn.addEventListener('click', () => {
+    closedProviderErrors.add(kind);
+    hideProviderError();
+  });
+
+  notice.append(message, settingsBtn, closeBtn);
+  ownerDocument.body.appendChild(notice);
+  providerErrorNotice = notice;
+
+  if (TRANSIENT_PROVIDER_ERRORS.includes(kind)) {
+    setTimeout(() => {
+      if (providerErrorNotice === notice) hideProviderError();
+    }, 8000);
   }
 }
 
-function createOverlayHighlights(suggestions, element) {
-  // Create a positioned overlay that shows highlights over the textarea
-  const wrapper = getOrCreateWrapper(element);
-  const highlightLayer = wrapper.querySelector('.lang-helper-highlights');
+function hideProviderError() {
+  if (providerErrorNotice) {
+    providerErrorNotice.remove();
+    providerErrorNotice = null;
+  }
+}
 
-  const text = element.value;
-  let highlightedHTML = escapeHtml(text);
+// Whole-text rewrite preview: a panel under the field showing the rewrite as a
+// word-level diff. Applying it is a single replacement of the changed span, through
+// the same path as accepting a suggestion.
+let rewritePreview = null; // { element, panel, body, actions, text, mode, rewrite }
 
-  // Sort suggestions by position (reverse order to replace from end to start)
-  const sortedSuggestions = [...suggestions].sort((a, b) => b.start - a.start);
+async function rewriteField(element, mode) {
+  const text = getTextWithLineBreaks(element);
+  if (!text.trim()) return;
 
-  sortedSuggestions.forEach((suggestion, index) => {
-    const before = highlightedHTML.substring(0, suggestion.start);
-    const highlighted = highlightedHTML.substring(suggestion.start, suggestion.end);
-    const after = highlightedHTML.substring(suggestion.end);
+  hideTooltip();
+  const preview = showRewritePanel(element, text, mode);
 
-    highlightedHTML = before +
-      `<span class="lang-helper-highlight" data-suggestion-id="${index}" data-severity="${suggestion.severity || 'info'}">${highlighted}</span>` +
-      after;
+  if (!canUseLLM()) {
+    showRewriteMessage(preview, 'Rewrites need an LLM provider, and sending text from this site must be allowed.');
+    return;
+  }
+
+  try {
+    await detectFieldLanguages(element, text);
+    const state = getFieldState(element);
+    const response = await chrome.runtime.sendMessage({
+      action: 'rewriteText',
+      text,
+      language: state.language || getStudyLanguages()[0],
+      mode,
+      elementId: state.id
+    });
+
+    // Closed, or replaced by a rewrite in another mode
+    if (rewritePreview !== preview) return;
+
+    if (!response || response.error) {
+      const error = new Error(response ? response.error : 'No response from the extension');
+      error.kind = response ? response.kind : 'unknown';
+      throw error;
+    }
+    showRewriteResult(preview, response);
+  } catch (error) {
+    if (rewritePreview !== preview) return;
+    showRewriteMessage(preview, `⚠️ ${error.message}`);
+  }
+}
+
+function showRewritePanel(element, text, mode) {
+  hideRewritePanel();
+
+  const ownerDocument = element.ownerDocument;
+  const view = ownerDocument.defaultView;
+  const rect = element.getBoundingClientRect();
+
+  const panel = ownerDocument.createElement('div');
+  panel.className = 'lang-helper-rewrite';
+  panel.style.left = rect.left + view.scrollX + 'px';
+  panel.style.top = rect.bottom + view.scrollY + 4 + 'px';
+
+  // Switching the mode asks for a new rewrite of the same field
+  const header = ownerDocument.createElement('div');
+  header.className = 'lang-helper-rewrite-header';
+  const modeSelect = ownerDocument.createElement('select');
+  modeSelect.className = 'lang-helper-rewrite-mode';
+  Object.entries(REWRITE_MODES).forEach(([value, { label }]) => {
+    modeSelect.appendChild(new Option(label, value, false, value === mode));
   });
+  modeSelect.addEventListener('change', () => rewriteField(element, modeSelect.value));
+  header.append('Rewrite: ', modeSelect);
+
+  const body = ownerDocument.createElement('div');
+  body.className = 'lang-helper-rewrite-body';
+  body.textContent = 'Rewriting…';
+
+  const actions = ownerDocument.createElement('div');
+  actions.className = 'lang-helper-rewrite-actions';
+  const cancelBtn = ownerDocument.createElement('button');
+  cancelBtn.className = 'lang-helper-rewrite-btn';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.addEventListener('click', hideRewritePanel);
+  actions.appendChild(cancelBtn);
+
+  panel.append(header, body, actions);
+  ownerDocument.body.appendChild(panel);
+
+  rewritePreview = { element, panel, body, actions, text, mode, rewrite: null };
+  return rewritePreview;
+}
+
+function showRewriteResult(preview, { rewrite, diff, notes }) {
+  const ownerDocument = preview.panel.ownerDocument;
+  preview.rewrite = rewrite;
+  preview.body.textContent = '';
+
+  if (rewrite === preview.text) {
+    preview.body.textContent = 'No changes needed.';
+    return;
+  }
+
+  const diffView = ownerDocument.createElement('div');
+  diffView.className = 'lang-helper-rewrite-diff';
+  diff.forEach(({ type, text }) => {
+    if (type === 'equal') {
+      diffView.append(text);
+      return;
+    }
+    const change = ownerDocument.createElement(type === 'insert' ? 'ins' : 'del');
+    change.textContent = text;
+    diffView.appendChild(change);
+  });
+  preview.body.appendChild(diffView);
+
+  if (notes.length > 0) {
+    const list = ownerDocument.createElement('ul');
+    list.className = 'lang-helper-rewrite-notes';
+    notes.forEach((note) => {
+      const item = ownerDocument.createElement('li');
+      item.textContent = note;
+      list.appendChild(item);
+    });
+    preview.body.appendChild(list);
+  }
+
+  const applyBtn = ownerDocument.createElement('button');
+  applyBtn.className = 'lang-helper-rewrite-btn lang-helper-rewrite-apply';
+  applyBtn.textContent = 'Apply';
+  applyBtn.addEventListener('click', () => applyRewrite(preview));
+  preview.actions.prepend(applyBtn);
+}
+
+function showRewriteMessage(preview, message) {
+  preview.body.textContent = message;
+}
+
+function applyRewrite(preview) {
+  const { element, text, rewrite } = preview;
+
+  // Like a suggestion, a rewrite only fits the text it was made for
+  if (getTextWithLineBreaks(element) !== text) {
+    showRewriteMessage(preview, 'The text changed since this rewrite was made. Pick a mode again to rewrite the new text.');
+    preview.actions.querySelectorAll('.lang-helper-rewrite-apply').forEach(button => button.remove());
+    return;
+  }
+
+  const change = getRewriteChange(text, rewrite);
+  if (!replaceTextRange(element, change.start, change.end, change.replacement)) return;
+  hideRewritePanel();
+
+  // Earlier suggestions point into the old text; check the new one from scratch
+  runOfflineCheck(element);
+  if (canUseLLM()) {
+    analyzeText(getTextWithLineBreaks(element), element);
+  }
+}
+
+function hideRewritePanel() {
+  if (rewritePreview) {
+    rewritePreview.panel.remove();
+    rewritePreview = null;
+  }
+}
+
+// The focused field, looking inside open shadow roots; null unless we monitor it
+function getFocusedField() {
+  let focused = document.activeElement;
+  while (focused && focused.shadowRoot && focused.shadowRoot.activeElement) {
+    focused = focused.shadowRoot.activeElement;
+  }
+  const field = activeElement || focused;
+  return field && monitoredFields.has(field) ? field : null;
+}
 
-  highlightLayer.innerHTML = highlightedHTML;
+// Split the field into paragraphs tagged with their study language (null for
+// paragraphs in other languages), remembering the field's overall language
+async function detectFieldLanguages(element, text) {
+  const { language, segments } = await detectSegmentLanguages(text, getStudyLanguages());
+  getFieldState(element).language = language;
+  return segments;
+}
+
+// Move segment results into full-text coordinates, tagged with the segment's language
+function placeSegmentSuggestions(suggestions, segment) {
+  return offsetSuggestions(suggestions, segment.start).map(suggestion => ({
+    ...suggestion,
+    language: segment.language
+  }));
+}
+
+function checkSegmentsOffline(segments) {
+  return segments
+    .filter(segment => segment.language)
+    .flatMap(segment => placeSegmentSuggestions(checkTextOffline(segment.text, segment.language), segment));
+}
+
+// Reuse cached results for unchanged paragraphs and only send the dirty ones, each
+// in its own language. onProgress gets the full list so far plus the suggestions just added.
+// Resolves with { suggestions, problem }: a paragraph whose reply was partly invalid
+// keeps (and caches) its valid suggestions, and the last such problem is passed on.
+async function analyzeSegments(segments, fieldId, signal, onProgress) {
+  const llmSuggestions = [];
+  const dirtySegments = [];
+  let problem = null;
+
+  segments.filter(segment => segment.language).forEach(segment => {
+    const cached = getCachedSegment(segment.text, getAnalysisScope(segment.language));
+    if (cached) {
+      llmSuggestions.push(...placeSegmentSuggestions(cached, segment));
+    } else {
+      dirtySegments.push(segment);
+    }
+  });
+
+  if (llmSuggestions.length > 0) {
+    onProgress(llmSuggestions, [...llmSuggestions]);
+  }
+
+  for (const segment of dirtySegments) {
+    const result = await requestStreamingAnalysis(segment.text, segment.language, fieldId, (suggestion) => {
+      const [shifted] = placeSegmentSuggestions([suggestion], segment);
+      llmSuggestions.push(shifted);
+      onProgress(llmSuggestions, [shifted]);
+    }, signal);
+
+    cacheSegment(segment.text, getAnalysisScope(segment.language), result.suggestions);
+    problem = result.problem || problem;
+  }
+
+  return { suggestions: llmSuggestions, problem };
+}
+
+// Open a port to the background script and stream suggestions for the text.
+// Resolves with { suggestions, problem } once the response is complete: the full
+// verified list, and an error when part of the reply had to be dropped. Aborting
+// the signal closes the port, which cancels the request in the background.
+function requestStreamingAnalysis(text, language, fieldId, onSuggestion, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(new DOMException('Analysis cancelled', 'AbortError'));
+      return;
+    }
+
+    const port = chrome.runtime.connect({ name: 'analysis' });
+
+    const onAbort = () => {
+      port.disconnect();
+      reject(new DOMException('Analysis cancelled', 'AbortError'));
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    const finish = () => {
+      signal.removeEventListener('abort', onAbort);
+      port.disconnect();
+    };
+
+    const toError = (message) => {
+      const error = new Error(message.error);
+      error.kind = message.kind;
+      return error;
+    };
+
+    port.onMessage.addListener((message) => {
+      if (message.type === 'suggestion') {
+        onSuggestion(message.suggestion);
+      } else if (message.type === 'done') {
+        resolve({ suggestions: message.suggestions, problem: message.error ? toError(message) : null });
+        finish();
+      } else if (message.type === 'error') {
+        reject(toError(message));
+        finish();
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      signal.removeEventListener('abort', onAbort);
+      reject(new Error('Analysis connection closed'));
+    });
+
+    port.postMessage({ action: 'analyzeText', text, language, elementId: fieldId });
+  });
+}
+
+// Add newly streamed suggestions to the element's overlay without redrawing it
+function showStreamedSuggestions(element, text, offlineSuggestions, llmSuggestions, added) {
+  if (getTextWithLineBreaks(element) !== text) return;
+
+  const suggestions = mergeSuggestions(offlineSuggestions, llmSuggestions);
+
+  elementSuggestions.set(element, {
+    text: text,
+    suggestions: suggestions,
+    llmSuggestions: [...llmSuggestions],
+    timestamp: Date.now()
+  });
+
+  const overlayData = activeOverlays.get(element);
+  if (!overlayData || !overlayData.overlay || !overlayData.overlay.isConnected) {
+    displaySuggestions(suggestions, element);
+    return;
+  }
+
+  filterSuggestions(added, element).forEach(suggestion => {
+    // Offline marks the LLM suggestion supersedes make room for it
+    overlayData.overlay.querySelectorAll('.lang-helper-mark').forEach(mark => {
+      const existing = JSON.parse(mark.getAttribute('data-suggestion'));
+      if (existing.source === 'offline' && existing.start < suggestion.end && suggestion.start < existing.end) {
+        removeOverlayMark(mark);
+      }
+    });
+
+    addOverlayMark(overlayData.overlay, suggestion);
+  });
 
-  // Store suggestions on the element for later retrieval
   element.setAttribute('data-suggestions', JSON.stringify(suggestions));
+  overlayData.hideOverlappingMarks();
+}
+
+// Show the offline rule results right away, keeping any LLM results that still match the text
+async function runOfflineCheck(element) {
+  const text = getTextWithLineBreaks(element);
+  const segments = await detectFieldLanguages(element, text);
 
-  // Add hover listeners
-  highlightLayer.querySelectorAll('.lang-helper-highlight').forEach(span => {
-    span.addEventListener('mouseenter', handleHighlightHover);
-    span.addEventListener('mouseleave', hideTooltip);
+  // The field may have changed while the language was being detected
+  if (getTextWithLineBreaks(element) !== text) return;
+
+  const offlineSuggestions = checkSegmentsOffline(segments);
+
+  const storedData = elementSuggestions.get(element);
+  const llmSuggestions = storedData && storedData.text === text ? storedData.llmSuggestions || [] : [];
+  const suggestions = mergeSuggestions(offlineSuggestions, llmSuggestions);
+
+  elementSuggestions.set(element, {
+    text: text,
+    suggestions: suggestions,
+    llmSuggestions: llmSuggestions,
+    timestamp: Date.now()
   });
+
+  displaySuggestions(suggestions, element);
+}
+
+function displaySuggestions(suggestions, element) {
+  // Remove previous highlights
+  removeHighlights(element);
+
+  // Hide what the strictness profile and category toggles leave out
+  suggestions = filterSuggestions(suggestions || [], element);
+
+  if (suggestions.length === 0) {
+    const overlayData = activeOverlays.get(element);
+    if (overlayData && overlayData.cleanup) overlayData.cleanup();
+    return;
+  }
+
+  // Form fields and contenteditable share one renderer: a mirror of the text laid
+  // over the field, so the page's own DOM is never touched
+  if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT' || element.isContentEditable) {
+    createInlineHighlights(suggestions, element);
+  }
 }
 
 function createInlineHighlights(suggestions, element) {
@@ -196,25 +833,19 @@ function getTextWithLineBreaks(element) {
   return element.innerText || element.textContent || '';
 }
 
-function handleHighlightHover(event) {
-  const span = event.target;
-  const suggestionId = parseInt(span.getAttribute('data-suggestion-id'));
-  const element = span.closest('[data-suggestions]') || activeElement;
-
-  if (!element) return;
-
-  const suggestions = JSON.parse(element.getAttribute('data-suggestions') || '[]');
-  const suggestion = suggestions[suggestionId];
-
-  if (suggestion) {
-    showTooltip(suggestion, span);
-  }
-}
-
 function showTooltip(suggestion, targetElement) {
   if (!suggestionOverlay) return;
 
+  // Log each distinct mistake once per page, however often its tooltip is opened
+  const journalKey = `${suggestion.problematicText}|${suggestion.correction}`;
+  if (!journaledSuggestions.has(journalKey)) {
+    journaledSuggestions.add(journalKey);
+    recordJournalEvent(suggestion, 'seen');
+  }
+
   const rect = targetElement.getBoundingClientRect();
+  if (tooltipTarget) tooltipTarget.mark.classList.remove('lang-helper-mark-selected');
+  tooltipTarget = { suggestion, mark: targetElement };
 
   suggestionOverlay.innerHTML = `
     <div class="lang-helper-tooltip-content">
@@ -236,7 +867,17 @@ function showTooltip(suggestion, targetElement) {
           font-weight: 500;
         ">Replace</button>
       ` : ''}
+      <div class="lang-helper-tooltip-dismiss">
+        <button class="lang-helper-dismiss-btn">Dismiss</button>
+        <button class="lang-helper-dismiss-btn" data-like-this="true">Dismiss all like this</button>
+      </div>
       ${suggestion.explanation ? `<div class="lang-helper-tooltip-explanation">${escapeHtml(suggestion.explanation)}</div>` : ''}
+      ${suggestion.rule ? `<div class="lang-helper-tooltip-rule"><strong>Rule:</strong> ${escapeHtml(suggestion.rule)}</div>` : ''}
+      ${suggestion.example ? `<div class="lang-helper-tooltip-example"><strong>Example:</strong> ${escapeHtml(suggestion.example)}</div>` : ''}
+      <div class="lang-helper-tooltip-actions">
+        <button class="lang-helper-list-btn" data-list="dictionary" title="Treat this as correct from now on">Add to dictionary</button>
+        <button class="lang-helper-list-btn" data-list="ignoreList" title="Never flag this text on any site">Ignore everywhere</button>
+      </div>
     </div>
   `;
 
@@ -259,70 +900,93 @@ function showTooltip(suggestion, targetElement) {
       hideTooltip();
     });
   }
+
+  suggestionOverlay.querySelectorAll('.lang-helper-dismiss-btn').forEach(button => {
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      dismissSuggestion(suggestion, targetElement, button.dataset.likeThis === 'true');
+      hideTooltip();
+    });
+  });
+
+  // Dictionary and ignore-list buttons; the storage change re-filters open fields
+  suggestionOverlay.querySelectorAll('.lang-helper-list-btn').forEach(button => {
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      hideTooltip();
+      addDictionaryEntry(button.dataset.list, suggestion.problematicText).catch(error => {
+        console.error('[Lang Helper] Could not save to the list:', error);
+      });
+    });
+  });
+}
+
+// Send a suggestion to the background journal; losing one entry is not worth surfacing
+function recordJournalEvent(suggestion, outcome) {
+  chrome.runtime.sendMessage({
+    action: 'journalRecord',
+    outcome,
+    language: suggestion.language || getStudyLanguages()[0],
+    site: getPageHostname(),
+    suggestion: {
+      problematicText: suggestion.problematicText,
+      correction: suggestion.correction,
+      severity: suggestion.severity,
+      message: suggestion.message,
+      explanation: suggestion.explanation
+    }
+  }).catch(() => {});
 }
 
 function hideTooltip() {
   if (suggestionOverlay) {
     suggestionOverlay.style.display = 'none';
   }
+  if (tooltipTarget) {
+    tooltipTarget.mark.classList.remove('lang-helper-mark-selected');
+    tooltipTarget = null;
+  }
 }
 
-function applySuggestion(suggestion, markElement) {
-  // Find the element being monitored (traverse up from the mark to find the overlay, then get the original element)
-  const overlay = markElement.closest('#lang-helper-content-overlay');
-  if (!overlay) return;
+// Find the monitored element a mark belongs to (via its overlay in activeOverlays)
+function getElementForMark(markElement) {
+  const overlay = markElement.closest('.lang-helper-content-overlay');
+  if (!overlay) return null;
 
-  // Find the original element from our activeOverlays map
   let targetElement = null;
   activeOverlays.forEach((data, element) => {
     if (data.overlay === overlay) {
       targetElement = element;
     }
   });
+  return targetElement;
+}
 
+function applySuggestion(suggestion, markElement) {
+  const targetElement = getElementForMark(markElement);
   if (!targetElement) return;
 
-  // Get current text
+  // The text may have changed since the suggestion was made
   const currentText = getTextWithLineBreaks(targetElement);
+  if (currentText.substring(suggestion.start, suggestion.end) !== suggestion.problematicText) return;
 
-  // Replace the text at the specified position
-  const newText = currentText.substring(0, suggestion.start) +
-                  suggestion.correction +
-                  currentText.substring(suggestion.end);
+  if (!replaceTextRange(targetElement, suggestion.start, suggestion.end, suggestion.correction)) return;
 
-  // Apply the new text
-  if (targetElement.value !== undefined) {
-    // For textarea/input
-    targetElement.value = newText;
-  } else if (targetElement.isContentEditable) {
-    // For contenteditable, we need to preserve the cursor position and update carefully
-    targetElement.innerText = newText;
-  }
+  recordJournalEvent(suggestion, 'accepted');
+  const newText = getTextWithLineBreaks(targetElement);
 
   // Update stored suggestions - remove the fixed one and adjust positions of others
   const storedData = elementSuggestions.get(targetElement);
   if (storedData) {
     const lengthDiff = suggestion.correction.length - (suggestion.end - suggestion.start);
 
-    // Filter out the fixed suggestion and adjust positions of suggestions that come after it
-    const updatedSuggestions = storedData.suggestions
-      .filter(s => s.start !== suggestion.start || s.end !== suggestion.end)
-      .map(s => {
-        if (s.start >= suggestion.end) {
-          // Adjust positions for suggestions after the fixed one
-          return {
-            ...s,
-            start: s.start + lengthDiff,
-            end: s.end + lengthDiff
-          };
-        }
-        return s;
-      });
+    const updatedSuggestions = shiftSuggestionsAfter(storedData.suggestions, suggestion, lengthDiff);
 
     // Update stored suggestions
     elementSuggestions.set(targetElement, {
       text: newText,
       suggestions: updatedSuggestions,
+      llmSuggestions: shiftSuggestionsAfter(storedData.llmSuggestions || [], suggestion, lengthDiff),
       timestamp: Date.now()
     });
 
@@ -331,29 +995,83 @@ function applySuggestion(suggestion, markElement) {
   }
 }
 
+// Reject a suggestion (or every suggestion with the same text and correction) for this
+// field; the dismissal is remembered, through reloads too, so re-analysis doesn't
+// bring it back
+function dismissSuggestion(suggestion, markElement, likeThis = false) {
+  const targetElement = getElementForMark(markElement);
+  if (!targetElement) return;
+
+  recordJournalEvent(suggestion, 'dismissed');
+
+  const dismissal = createDismissal(suggestion, getTextWithLineBreaks(targetElement), likeThis);
+  dismissedSuggestions.set(targetElement, [...(dismissedSuggestions.get(targetElement) || []), dismissal]);
+  chrome.runtime.sendMessage({ action: 'recordDismissal', field: getDismissalKey(targetElement), dismissal }).catch(() => {});
+
+  const storedData = elementSuggestions.get(targetElement);
+  if (storedData) {
+    // Nothing moves, so this is the replace path with a length difference of zero
+    const dismissed = likeThis
+      ? storedData.suggestions.filter(s => s.problematicText === suggestion.problematicText && s.correction === suggestion.correction)
+      : [suggestion];
+    const removeDismissed = list => dismissed.reduce((rest, s) => shiftSuggestionsAfter(rest, s, 0), list);
+    const updatedSuggestions = removeDismissed(storedData.suggestions);
+
+    elementSuggestions.set(targetElement, {
+      text: storedData.text,
+      suggestions: updatedSuggestions,
+      llmSuggestions: removeDismissed(storedData.llmSuggestions || []),
+      timestamp: Date.now()
+    });
+
+    displaySuggestions(updatedSuggestions, targetElement);
+  }
+}
+
+// Filter out the fixed suggestion and adjust positions of suggestions that come after it
+function shiftSuggestionsAfter(suggestions, fixed, lengthDiff) {
+  return suggestions
+    .filter(s => s.start !== fixed.start || s.end !== fixed.end)
+    .map(s => {
+      if (s.start >= fixed.end) {
+        // Adjust positions for suggestions after the fixed one
+        return {
+          ...s,
+          start: s.start + lengthDiff,
+          end: s.end + lengthDiff
+        };
+      }
+      return s;
+    });
+}
 
 function createPositionedOverlay(suggestions, element, text) {
 
-  // Remove existing overlay
-  const existingOverlay = document.getElementById('lang-helper-content-overlay');
-  if (existingOverlay) {
-    existingOverlay.remove();
+  // Overlays live in the field's own document (and outside any shadow root, so our
+  // stylesheet applies); bounding rects are viewport-based across shadow boundaries
+  const ownerDocument = element.ownerDocument;
+  const view = ownerDocument.defaultView;
+
+  // Replace this field's previous overlay; other fields keep theirs
+  const state = getFieldState(element);
+  if (state.cleanup) {
+    state.cleanup();
   }
 
   // We'll filter suggestions after rendering by checking actual mark positions
 
   // Create overlay container that sits on top of the element
-  const overlay = document.createElement('div');
-  overlay.id = 'lang-helper-content-overlay';
+  const overlay = ownerDocument.createElement('div');
+  overlay.className = 'lang-helper-content-overlay';
 
   // Position it over the element
   const rect = element.getBoundingClientRect();
-  const computedStyle = window.getComputedStyle(element);
+  const computedStyle = view.getComputedStyle(element);
 
   // Copy ALL relevant styles to match exactly
   overlay.style.position = 'absolute';
-  overlay.style.left = rect.left + window.scrollX + 'px';
-  overlay.style.top = rect.top + window.scrollY + 'px';
+  overlay.style.left = rect.left + view.scrollX + 'px';
+  overlay.style.top = rect.top + view.scrollY + 'px';
   overlay.style.width = rect.width + 'px';
   overlay.style.height = rect.height + 'px';
   overlay.style.padding = computedStyle.padding;
@@ -373,87 +1091,45 @@ function createPositionedOverlay(suggestions, element, text) {
   overlay.style.zIndex = '1000'; // High enough to be clickable, we'll handle toolbar with clipping
   overlay.style.color = 'transparent'; // Make text invisible
   overlay.style.overflow = 'hidden';
-  overlay.style.boxSizing = computedStyle.boxSizing;
-
-  // Build HTML with highlights
-  let html = '';
-  let lastIndex = 0;
+  // The size comes from the bounding rect, which includes padding and border
+  overlay.style.boxSizing = 'border-box';
 
-  // Sort suggestions by start position
-  const sortedSuggestions = [...suggestions].sort((a, b) => a.start - b.start);
-
-  sortedSuggestions.forEach((suggestion, index) => {
-    // Add text before highlight (invisible, with line breaks)
-    html += `<span style="color: transparent;">${escapeHtmlWithBreaks(text.substring(lastIndex, suggestion.start))}</span>`;
-
-    // Add highlighted text with visible underline
-    const highlightedText = text.substring(suggestion.start, suggestion.end);
-    // Store the actual suggestion data as JSON in the element
-    const suggestionData = JSON.stringify(suggestion);
-    html += `<mark class="lang-helper-mark" data-suggestion='${suggestionData.replace(/'/g, "&apos;")}' data-severity="${suggestion.severity}" style="
-      background: transparent;
-      color: transparent;
-      cursor: pointer;
-      pointer-events: auto;
-      padding: 0;
-      margin: 0;
-      text-decoration: none;
-    ">${escapeHtmlWithBreaks(highlightedText)}</mark>`;
-
-    lastIndex = suggestion.end;
-  });
-
-  // Add remaining text (invisible, with line breaks)
-  html += `<span style="color: transparent;">${escapeHtmlWithBreaks(text.substring(lastIndex))}</span>`;
-
-  overlay.innerHTML = html;
-  document.body.appendChild(overlay);
-
-  // Add hover listeners to marks
-  const marks = overlay.querySelectorAll('.lang-helper-mark');
-  let hideTooltipTimeout = null;
-
-  marks.forEach((mark) => {
-    mark.addEventListener('mouseenter', (e) => {
-      // Clear any pending hide timeout
-      if (hideTooltipTimeout) {
-        clearTimeout(hideTooltipTimeout);
-        hideTooltipTimeout = null;
-      }
+  if (element.value !== undefined) {
+    // Form fields wrap (or, for inputs, never wrap) whatever their CSS says
+    overlay.style.whiteSpace = element.tagName === 'INPUT' ? 'pre' : 'pre-wrap';
+    if (element.tagName === 'INPUT') {
+      // Inputs center their single line vertically
+      const contentHeight = element.clientHeight - parseFloat(computedStyle.paddingTop) - parseFloat(computedStyle.paddingBottom);
+      overlay.style.lineHeight = contentHeight + 'px';
+    }
+  }
 
-      const suggestionData = e.target.getAttribute('data-suggestion');
-      const suggestion = JSON.parse(suggestionData);
-      if (suggestion) {
-        showTooltip(suggestion, e.target);
-      }
-    });
+  // A scrollbar narrows the field's text area; pad the mirror so lines wrap at the same place
+  const scrollbarWidth = element.offsetWidth - element.clientWidth -
+    parseFloat(computedStyle.borderLeftWidth) - parseFloat(computedStyle.borderRightWidth);
+  if (scrollbarWidth > 0) {
+    overlay.style.paddingRight = parseFloat(computedStyle.paddingRight) + scrollbarWidth + 'px';
+  }
 
-    mark.addEventListener('mouseleave', () => {
-      // Delay hiding to allow moving to the tooltip
-      hideTooltipTimeout = setTimeout(() => {
-        hideTooltip();
-      }, 200);
-    });
-  });
+  // Start with the plain (invisible) text; marks are added into it one at a time.
+  // A trailing newline needs an extra <br> to take up its line, as it does in a textarea.
+  const trailingBreak = text.endsWith('\n') ? '<br>' : '';
+  overlay.innerHTML = `<span style="color: transparent;">${escapeHtmlWithBreaks(text)}${trailingBreak}</span>`;
+  ownerDocument.body.appendChild(overlay);
 
-  // Also add hover listeners to the tooltip itself
-  if (suggestionOverlay) {
-    suggestionOverlay.addEventListener('mouseenter', () => {
-      // Cancel hide when hovering over tooltip
-      if (hideTooltipTimeout) {
-        clearTimeout(hideTooltipTimeout);
-        hideTooltipTimeout = null;
-      }
-    });
+  // Follow the field's own scrolling
+  const syncScroll = () => {
+    overlay.scrollTop = element.scrollTop;
+    overlay.scrollLeft = element.scrollLeft;
+  };
 
-    suggestionOverlay.addEventListener('mouseleave', () => {
-      hideTooltip();
-    });
-  }
+  // Sort suggestions by start position
+  const sortedSuggestions = [...suggestions].sort((a, b) => a.start - b.start);
+  sortedSuggestions.forEach(suggestion => addOverlayMark(overlay, suggestion));
 
   // Function to hide marks that overlap with toolbars
   const hideOverlappingMarks = () => {
-    const allToolbars = document.querySelectorAll('[role="toolbar"]');
+    const allToolbars = element.getRootNode().querySelectorAll('[role="toolbar"]');
     const elementRect = element.getBoundingClientRect();
 
     // Filter to only toolbars that overlap with the element area
@@ -464,7 +1140,7 @@ function createPositionedOverlay(suggestions, element, text) {
       return overlapsH && overlapsV && toolbarRect.height > 0;
     });
 
-    marks.forEach((mark) => {
+    overlay.querySelectorAll('.lang-helper-mark').forEach((mark) => {
       const markRect = mark.getBoundingClientRect();
       let shouldHide = false;
 
@@ -497,17 +1173,25 @@ function createPositionedOverlay(suggestions, element, text) {
       overlay.remove();
     }
     if (scrollListener) {
-      window.removeEventListener('scroll', scrollListener, true);
+      view.removeEventListener('scroll', scrollListener, true);
     }
     if (resizeListener) {
-      window.removeEventListener('resize', resizeListener);
+      view.removeEventListener('resize', resizeListener);
+    }
+    element.removeEventListener('scroll', fieldScrollListener);
+    element.removeEventListener('input', cleanup);
+
+    if (state.overlay === overlay) {
+      state.overlay = null;
+      state.cleanup = null;
+      state.hideOverlappingMarks = null;
     }
   };
 
   // Update overlay position when scrolling or resizing
   const updatePosition = () => {
-    // Check if element is still in the document
-    if (!document.body.contains(element)) {
+    // Check if element is still in the document (isConnected also sees into shadow roots)
+    if (!element.isConnected) {
       cleanup();
       return;
     }
@@ -516,17 +1200,17 @@ function createPositionedOverlay(suggestions, element, text) {
 
     // Find all potential clipping containers
     let clippingContainers = [];
-    let current = element.parentElement;
+    let current = getParentAcrossShadow(element);
 
-    while (current && current !== document.documentElement) {
-      const style = window.getComputedStyle(current);
+    while (current && current !== ownerDocument.documentElement) {
+      const style = view.getComputedStyle(current);
       const hasOverflow = style.overflow !== 'visible' || style.overflowY !== 'visible' || style.overflowX !== 'visible';
 
       if (hasOverflow) {
         clippingContainers.push(current);
       }
 
-      current = current.parentElement;
+      current = getParentAcrossShadow(current);
     }
 
     // Calculate clipping based on all containers
@@ -559,9 +1243,9 @@ function createPositionedOverlay(suggestions, element, text) {
 
     // Also clip to viewport
     const viewportTop = -newRect.top;
-    const viewportBottom = newRect.bottom - window.innerHeight;
+    const viewportBottom = newRect.bottom - view.innerHeight;
     const viewportLeft = -newRect.left;
-    const viewportRight = newRect.right - window.innerWidth;
+    const viewportRight = newRect.right - view.innerWidth;
 
     if (viewportTop > clipTop) clipTop = viewportTop;
     if (viewportBottom > clipBottom) clipBottom = viewportBottom;
@@ -584,8 +1268,8 @@ function createPositionedOverlay(suggestions, element, text) {
       overlay.style.display = 'none';
     } else {
       overlay.style.display = 'block';
-      overlay.style.left = newRect.left + window.scrollX + 'px';
-      overlay.style.top = newRect.top + window.scrollY + 'px';
+      overlay.style.left = newRect.left + view.scrollX + 'px';
+      overlay.style.top = newRect.top + view.scrollY + 'px';
       overlay.style.width = newRect.width + 'px';
       overlay.style.height = newRect.height + 'px';
 
@@ -598,6 +1282,8 @@ function createPositionedOverlay(suggestions, element, text) {
         overlay.style.overflow = 'hidden';
       }
 
+      syncScroll();
+
       // Recheck which marks should be hidden due to toolbar overlap
       hideOverlappingMarks();
     }
@@ -605,9 +1291,11 @@ function createPositionedOverlay(suggestions, element, text) {
 
   const scrollListener = () => updatePosition();
   const resizeListener = () => updatePosition();
+  const fieldScrollListener = () => syncScroll();
 
-  window.addEventListener('scroll', scrollListener, true);
-  window.addEventListener('resize', resizeListener);
+  view.addEventListener('scroll', scrollListener, true);
+  view.addEventListener('resize', resizeListener);
+  element.addEventListener('scroll', fieldScrollListener);
 
   // Trigger initial position update
   updatePosition();
@@ -615,13 +1303,100 @@ function createPositionedOverlay(suggestions, element, text) {
   // Also clean up when user starts typing again
   element.addEventListener('input', cleanup, { once: true });
 
-  // Store cleanup function and overlay reference
-  element.setAttribute('data-overlay-id', 'lang-helper-content-overlay');
-  element._overlayCleanup = cleanup;
-  element._overlayElement = overlay;
+  state.overlay = overlay;
+  state.cleanup = cleanup;
+  state.hideOverlappingMarks = hideOverlappingMarks;
+}
+
+// Find the DOM position inside the overlay for a character offset in the element's
+// text. <br> stands for one newline. Starts prefer the following node so a new mark
+// never begins inside the mark that ends at the same offset.
+function locateOverlayOffset(overlay, offset, isStart) {
+  const walker = document.createTreeWalker(overlay, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+  let position = 0;
+  let node;
+
+  while ((node = walker.nextNode())) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const length = node.textContent.length;
+      if (isStart ? offset < position + length : offset <= position + length) {
+        return { node, offset: offset - position };
+      }
+      position += length;
+    } else if (node.tagName === 'BR') {
+      if (offset === position) {
+        return { node: node.parentNode, offset: Array.from(node.parentNode.childNodes).indexOf(node) };
+      }
+      position += 1;
+    }
+  }
+
+  return { node: overlay, offset: overlay.childNodes.length };
+}
 
-  // Also store in global map for cleanup detection
-  activeOverlays.set(element, { overlay, cleanup });
+// Wrap one suggestion's text in the overlay with a mark; skipped if it overlaps another mark
+function addOverlayMark(overlay, suggestion) {
+  if (suggestion.end <= suggestion.start) return null;
+
+  const startPoint = locateOverlayOffset(overlay, suggestion.start, true);
+  const endPoint = locateOverlayOffset(overlay, suggestion.end, false);
+
+  const range = document.createRange();
+  range.setStart(startPoint.node, startPoint.offset);
+  range.setEnd(endPoint.node, endPoint.offset);
+
+  const overlaps = Array.from(overlay.querySelectorAll('.lang-helper-mark'))
+    .some(existing => range.intersectsNode(existing));
+  if (overlaps) return null;
+
+  const mark = document.createElement('mark');
+  mark.className = 'lang-helper-mark';
+  // Store the actual suggestion data as JSON in the element
+  mark.setAttribute('data-suggestion', JSON.stringify(suggestion));
+  mark.setAttribute('data-severity', suggestion.severity);
+  mark.style.cssText = `
+    background: transparent;
+    color: transparent;
+    cursor: pointer;
+    pointer-events: auto;
+    padding: 0;
+    margin: 0;
+    text-decoration: none;
+  `;
+  mark.appendChild(range.extractContents());
+  range.insertNode(mark);
+
+  mark.addEventListener('mouseenter', (e) => {
+    // Clear any pending hide timeout
+    if (hideTooltipTimeout) {
+      clearTimeout(hideTooltipTimeout);
+      hideTooltipTimeout = null;
+    }
+
+    const suggestionData = e.target.getAttribute('data-suggestion');
+    const suggestion = JSON.parse(suggestionData);
+    if (suggestion) {
+      showTooltip(suggestion, e.target);
+    }
+  });
+
+  mark.addEventListener('mouseleave', () => {
+    // Delay hiding to allow moving to the tooltip
+    hideTooltipTimeout = setTimeout(() => {
+      hideTooltip();
+    }, 200);
+  });
+
+  return mark;
+}
+
+// Take a mark back out of the overlay, leaving its text in place
+function removeOverlayMark(mark) {
+  const parent = mark.parentNode;
+  while (mark.firstChild) {
+    parent.insertBefore(mark.firstChild, mark);
+  }
+  parent.removeChild(mark);
 }
 
 function getSeverityLabel(severity) {
@@ -635,95 +1410,115 @@ function getSeverityLabel(severity) {
 }
 
 function removeHighlights(element) {
-  // Remove wrapper highlights
-  const wrapper = element.parentElement?.classList.contains('lang-helper-wrapper')
-    ? element.parentElement
-    : null;
-
-  if (wrapper) {
-    const highlightLayer = wrapper.querySelector('.lang-helper-highlights');
-    if (highlightLayer) highlightLayer.innerHTML = '';
-  }
-
-  // Remove inline highlights
-  element.querySelectorAll('.lang-helper-inline').forEach(span => {
-    const parent = span.parentNode;
-    while (span.firstChild) {
-      parent.insertBefore(span.firstChild, span);
-    }
-    parent.removeChild(span);
-  });
-
   element.removeAttribute('data-suggestions');
 }
 
-function getOrCreateWrapper(element) {
-  let wrapper = element.parentElement;
-
-  if (!wrapper || !wrapper.classList.contains('lang-helper-wrapper')) {
-    wrapper = document.createElement('div');
-    wrapper.className = 'lang-helper-wrapper';
-
-    const highlightLayer = document.createElement('div');
-    highlightLayer.className = 'lang-helper-highlights';
+// Map offsets in getTextWithLineBreaks() back to a DOM Range. innerText adds line
+// breaks for blocks and <br>, and collapses whitespace, so its offsets don't index
+// the text nodes directly: walk both side by side and line them up.
+function getRangeForOffsets(element, start, end) {
+  const text = getTextWithLineBreaks(element);
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const isSpace = (char) => /\s/.test(char);
+  let node = walker.nextNode();
+  let nodeOffset = 0;
+  let startPoint = null;
+  let endPoint = null;
+
+  for (let i = 0; i < end; i++) {
+    const char = text[i];
+    let matched = false;
+
+    while (node) {
+      if (nodeOffset >= node.data.length) {
+        node = walker.nextNode();
+        nodeOffset = 0;
+        continue;
+      }
 
-    element.parentNode.insertBefore(wrapper, element);
-    wrapper.appendChild(highlightLayer);
-    wrapper.appendChild(element);
+      const domChar = node.data[nodeOffset];
+      if (domChar.toLowerCase() === char.toLowerCase() || (isSpace(domChar) && isSpace(char))) {
+        matched = true;
+        break;
+      }
+      // A break innerText made up for a block or <br>: it has no DOM character
+      if (isSpace(char)) break;
+      // Collapsed whitespace or hidden text that innerText leaves out
+      nodeOffset++;
+    }
 
-    // Copy styles
-    syncWrapperStyles(element, wrapper, highlightLayer);
+    if (i === start) startPoint = node ? { node, offset: nodeOffset } : null;
+    if (matched) nodeOffset++;
+    if (i === end - 1) endPoint = node ? { node, offset: nodeOffset } : null;
   }
 
-  return wrapper;
-}
-
-function syncWrapperStyles(element, wrapper, highlightLayer) {
-  const computed = window.getComputedStyle(element);
-
-  wrapper.style.position = 'relative';
-  wrapper.style.display = 'inline-block';
-  wrapper.style.width = computed.width;
+  // An insertion point is wherever the walk stopped
+  if (start === end) {
+    startPoint = endPoint = node ? { node, offset: nodeOffset } : null;
+  }
+  if (!startPoint || !endPoint) return null;
 
-  highlightLayer.style.position = 'absolute';
-  highlightLayer.style.top = '0';
-  highlightLayer.style.left = '0';
-  highlightLayer.style.width = '100%';
-  highlightLayer.style.height = '100%';
-  highlightLayer.style.pointerEvents = 'none';
-  highlightLayer.style.whiteSpace = 'pre-wrap';
-  highlightLayer.style.wordWrap = 'break-word';
-  highlightLayer.style.overflow = 'hidden';
-  highlightLayer.style.padding = computed.padding;
-  highlightLayer.style.border = computed.border;
-  highlightLayer.style.font = computed.font;
-  highlightLayer.style.lineHeight = computed.lineHeight;
+  const range = document.createRange();
+  range.setStart(startPoint.node, startPoint.offset);
+  range.setEnd(endPoint.node, endPoint.offset);
+  return range;
 }
 
-function findTextNode(element, start, end) {
-  let currentPos = 0;
-
-  function traverse(node) {
-    if (node.nodeType === Node.TEXT_NODE) {
-      const length = node.textContent.length;
-      if (currentPos + length >= start && currentPos <= end) {
-        return {
-          node: node,
-          startOffset: Math.max(0, start - currentPos),
-          endOffset: Math.min(length, end - currentPos)
-        };
+// Replace part of a field's text the way typing would: the edit lands on the
+// browser's undo stack, formatting around it survives, and editors (React,
+// Draft.js, Gmail) see the usual beforeinput/input events and stay in sync.
+function replaceTextRange(element, start, end, replacement) {
+  replacingText = true;
+  try {
+    element.focus();
+
+    if (element.value !== undefined) {
+      element.setSelectionRange(start, end);
+      if (!document.execCommand('insertText', false, replacement)) {
+        element.setRangeText(replacement, start, end, 'end');
+        element.dispatchEvent(new InputEvent('input', {
+          bubbles: true,
+          inputType: 'insertReplacementText',
+          data: replacement
+        }));
       }
-      currentPos += length;
-    } else {
-      for (let child of node.childNodes) {
-        const result = traverse(child);
-        if (result) return result;
+      return true;
+    }
+
+    const range = getRangeForOffsets(element, start, end);
+    if (!range) return false;
+
+    const selection = getSelectionFor(element);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    if (document.execCommand('insertText', false, replacement)) return true;
+
+    // No execCommand: offer the edit to the page's editor first, as a real
+    // replacement would, and only touch the DOM if nobody handled it
+    const handled = !element.dispatchEvent(new InputEvent('beforeinput', {
+      bubbles: true,
+      cancelable: true,
+      inputType: 'insertReplacementText',
+      data: replacement
+    }));
+
+    if (!handled) {
+      range.deleteContents();
+      if (range.startContainer.nodeType === Node.TEXT_NODE) {
+        range.startContainer.insertData(range.startOffset, replacement);
+      } else {
+        range.insertNode(document.createTextNode(replacement));
       }
+      element.dispatchEvent(new InputEvent('input', {
+        bubbles: true,
+        inputType: 'insertReplacementText',
+        data: replacement
+      }));
     }
-    return null;
+    return true;
+  } finally {
+    replacingText = false;
   }
-
-  return traverse(element);
 }
 
 function escapeHtml(text) {
@@ -739,48 +1534,264 @@ function escapeHtmlWithBreaks(text) {
   return div.innerHTML.replace(/\n/g, '<br>');
 }
 
-// Monitor all text inputs on the page
-function monitorPage() {
-  // Include Gmail compose fields and other contenteditable divs
-  const textElements = document.querySelectorAll('textarea, input[type="text"], [contenteditable="true"], [role="textbox"]');
-  textElements.forEach(setupTextMonitoring);
+// Keyboard shortcuts: browser commands arrive from the background as messages,
+// in-page bindings are matched here; both end up in runShortcutAction
+chrome.runtime.onMessage.addListener((request) => {
+  if (request.action === 'shortcut' && COMMAND_ACTIONS[request.command]) {
+    runShortcutAction(COMMAND_ACTIONS[request.command]);
+  }
+
+  // Picked from the context menu of the field that has focus in this frame
+  if (request.action === 'rewrite' && isEnabledHere()) {
+    const field = getFocusedField();
+    if (field) rewriteField(field, request.mode);
+  }
+});
+
+document.addEventListener('keydown', (event) => {
+  if (!isEnabledHere() || !activeElement) return;
+
+  const shortcut = getShortcutFromEvent(event);
+  if (!shortcut) return;
+
+  if (shortcut === 'Escape' && (tooltipTarget || rewritePreview)) {
+    hideTooltip();
+    hideRewritePanel();
+    return;
+  }
+
+  // Bindings saved before the options page required a modifier are ignored
+  if (!isUsableShortcut(shortcut)) return;
+
+  const shortcuts = getShortcuts(currentSettings.shortcuts);
+  const action = Object.keys(SHORTCUT_ACTIONS).find(name => shortcuts[name] === shortcut);
+  if (action && runShortcutAction(action)) {
+    event.preventDefault();
+    event.stopPropagation();
+  }
+}, true); // Capture, so editors that swallow key events don't hide them from us
+
+// Returns whether the shortcut did something, so unused keys still type normally
+function runShortcutAction(action) {
+  if (!isEnabledHere()) return false;
+
+  if (action === 'next' || action === 'previous') {
+    return activeElement ? selectAdjacentSuggestion(activeElement, action === 'next' ? 1 : -1) : false;
+  }
+
+  if (action === 'accent') {
+    return activeElement ? cycleAccentBeforeCaret(activeElement) : false;
+  }
+
+  if (action === 'rewrite') {
+    if (!activeElement || !getTextWithLineBreaks(activeElement).trim()) return false;
+    rewriteField(activeElement, DEFAULT_REWRITE_MODE);
+    return true;
+  }
+
+  if (!tooltipTarget) return false;
+  const { suggestion, mark } = tooltipTarget;
+  hideTooltip();
+
+  if (action === 'accept') {
+    if (!suggestion.correction) return false;
+    applySuggestion(suggestion, mark);
+  } else if (action === 'dismiss') {
+    dismissSuggestion(suggestion, mark);
+  }
+  return true;
+}
+
+// Move the keyboard selection to the next or previous visible mark and open its tooltip
+function selectAdjacentSuggestion(element, direction) {
+  const overlayData = activeOverlays.get(element);
+  if (!overlayData || !overlayData.overlay || !overlayData.overlay.isConnected) return false;
+
+  const marks = Array.from(overlayData.overlay.querySelectorAll('.lang-helper-mark'))
+    .filter(mark => mark.style.visibility !== 'hidden');
+  if (marks.length === 0) return false;
+
+  const current = tooltipTarget ? marks.indexOf(tooltipTarget.mark) : -1;
+  const index = current === -1
+    ? (direction > 0 ? 0 : marks.length - 1)
+    : (current + direction + marks.length) % marks.length;
+  const mark = marks[index];
+
+  hideTooltip();
+  mark.scrollIntoView({ block: 'nearest' });
+  showTooltip(JSON.parse(mark.getAttribute('data-suggestion')), mark);
+  mark.classList.add('lang-helper-mark-selected');
+  return true;
 }
 
-// Initial setup
-monitorPage();
+// Dead-key helper: replace the letter before the caret with its next accented form.
+// insertText keeps the change on the field's undo stack.
+function cycleAccentBeforeCaret(element) {
+  const language = getFieldState(element).language || getStudyLanguages()[0];
 
-// Function to check for stale overlays
+  if (element.value !== undefined) {
+    const position = element.selectionStart;
+    if (!position || position !== element.selectionEnd) return false;
+
+    const variant = getNextAccentVariant(element.value[position - 1], language);
+    if (!variant) return false;
+
+    element.setSelectionRange(position - 1, position);
+    if (!document.execCommand('insertText', false, variant)) {
+      element.setRangeText(variant, position - 1, position, 'end');
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    return true;
+  }
+
+  const selection = getSelectionFor(element);
+  if (!selection.rangeCount || !selection.isCollapsed) return false;
+
+  const { startContainer, startOffset } = selection.getRangeAt(0);
+  if (startContainer.nodeType !== Node.TEXT_NODE || startOffset === 0) return false;
+
+  const variant = getNextAccentVariant(startContainer.data[startOffset - 1], language);
+  if (!variant) return false;
+
+  selection.setBaseAndExtent(startContainer, startOffset - 1, startContainer, startOffset);
+  if (!document.execCommand('insertText', false, variant)) {
+    selection.collapseToEnd();
+    return false;
+  }
+  return true;
+}
+
+// Include Gmail compose fields and other contenteditable divs
+const TEXT_FIELD_SELECTOR = 'textarea, input[type="text"], [contenteditable="true"], [role="textbox"]';
+
+// Added or removed elements, and attribute changes that can turn an element into a field
+const OBSERVER_OPTIONS = {
+  childList: true,
+  subtree: true,
+  attributes: true,
+  attributeFilter: ['contenteditable', 'role', 'type']
+};
+
+let observedShadowRoots = new WeakSet();
+
+// Custom elements that weren't defined yet when seen: their shadow root is attached
+// when they upgrade, which no mutation reports (see the poll at the end)
+let pendingShadowHosts = new Set();
+
+// Monitor all text inputs under root (the page, or a newly added node), including
+// those inside open shadow roots. Closed shadow roots can't be reached from here.
+// Iframes get their own copy of this script (all_frames / match_about_blank).
+function monitorPage(root = document) {
+  if (!settingsLoaded) return;
+
+  monitorFieldsIn(root);
+  forEachShadowRoot(root, (shadowRoot) => {
+    if (!observedShadowRoots.has(shadowRoot)) {
+      observedShadowRoots.add(shadowRoot);
+      observer.observe(shadowRoot, OBSERVER_OPTIONS);
+    }
+    monitorFieldsIn(shadowRoot);
+  });
+}
+
+function monitorFieldsIn(root) {
+  if (root.matches && root.matches(TEXT_FIELD_SELECTOR)) {
+    setupTextMonitoring(root);
+  }
+  root.querySelectorAll(TEXT_FIELD_SELECTOR).forEach(setupTextMonitoring);
+
+  if (root.matches && root.matches(':not(:defined)')) {
+    pendingShadowHosts.add(root);
+  }
+  root.querySelectorAll(':not(:defined)').forEach(host => pendingShadowHosts.add(host));
+}
+
+// Look inside the custom elements that have been defined since they were seen
+function checkPendingShadowHosts() {
+  pendingShadowHosts.forEach(host => {
+    if (!host.isConnected) {
+      pendingShadowHosts.delete(host);
+    } else if (host.shadowRoot || host.matches(':defined')) {
+      pendingShadowHosts.delete(host);
+      monitorPage(host);
+    }
+  });
+}
+
+// Call back with every open shadow root under root, nested ones included
+function forEachShadowRoot(root, callback) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+  let node = root.nodeType === Node.ELEMENT_NODE ? root : walker.nextNode();
+
+  while (node) {
+    if (node.shadowRoot) {
+      callback(node.shadowRoot);
+      forEachShadowRoot(node.shadowRoot, callback);
+    }
+    node = walker.nextNode();
+  }
+}
+
+// parentElement stops at a shadow root; carry on from its host
+function getParentAcrossShadow(node) {
+  if (node.parentElement) return node.parentElement;
+  const root = node.getRootNode();
+  return root instanceof ShadowRoot ? root.host : null;
+}
+
+// Inside a shadow root, Chrome only reports the real selection through the root
+function getSelectionFor(element) {
+  const root = element.getRootNode();
+  return root.getSelection ? root.getSelection() : window.getSelection();
+}
+
+// Function to check for stale overlays, and to let go of fields that left the page
+// (the observer picks them up again if they come back)
 const cleanupStaleOverlays = () => {
+  monitoredFields.forEach(element => {
+    if (!element.isConnected) stopTextMonitoring(element);
+  });
+
   if (activeOverlays.size > 0) {
-    activeOverlays.forEach((data, element) => {
+    activeOverlays.forEach((state, element) => {
       // Check if element is actually visible (has dimensions and is in a visible container)
       const rect = element.getBoundingClientRect();
       const isVisible = rect.width > 0 && rect.height > 0;
-      const inDOM = document.body.contains(element);
-      const isConnected = element.isConnected;
 
-      // If element has no size or is not visible, it's probably hidden/removed
-      if (!inDOM || !isConnected || !isVisible) {
-        data.cleanup();
-        activeOverlays.delete(element);
+      // If element has no size or is not visible, it's probably hidden/removed.
+      // isConnected (unlike document.body.contains) also works inside shadow roots.
+      if (!element.isConnected || !isVisible) {
+        disposeFieldState(element);
       }
     });
   }
 };
 
-// Watch for dynamically added and removed elements
+// Watch for dynamically added and removed elements, and for elements that become
+// fields (contenteditable switched on later), in the page and in every shadow root
+// found so far
 const observer = new MutationObserver((mutations) => {
-  // Check for new elements
-  monitorPage();
+  // Check the new elements (and any shadow roots inside them) for fields
+  mutations.forEach(mutation => {
+    if (mutation.type === 'attributes') {
+      monitorPage(mutation.target);
+    }
+    mutation.addedNodes.forEach(node => {
+      if (node.nodeType === Node.ELEMENT_NODE) monitorPage(node);
+    });
+  });
 
   // Check for stale overlays
   cleanupStaleOverlays();
 });
 
-observer.observe(document.body, {
-  childList: true,
-  subtree: true
-});
+observer.observe(document.body || document.documentElement, OBSERVER_OPTIONS);
+
+// Initial setup happens once the settings (and site rules) have loaded, see above
 
-// Also check periodically in case MutationObserver misses something
-setInterval(cleanupStaleOverlays, 2000);
+// Overlays can go stale without a mutation (a field hidden by a style change), and
+// custom elements get their shadow roots without one, so check both periodically
+setInterval(() => {
+  checkPendingShadowHosts();
+  cleanupStaleOverlays();
+}, 2000);
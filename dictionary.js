@@ -0,0 +1,78 @@
+// Personal dictionary and ignore list: words the user marked as correct and phrases
+// never to flag. Both sync across browsers and are shared by the content script
+// (filtering, tooltip actions), the service worker (prompt) and the options page.
+
+const DICTIONARY_LISTS = ['dictionary', 'ignoreList'];
+const MAX_PROMPT_ENTRIES = 200; // Keeps the prompt short for very long lists
+
+function normalizeDictionaryEntry(entry) {
+  return (entry || '').normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+async function getDictionaryLists() {
+  const result = await chrome.storage.sync.get(DICTIONARY_LISTS);
+  return {
+    dictionary: result.dictionary || [],
+    ignoreList: result.ignoreList || []
+  };
+}
+
+// listName is 'dictionary' or 'ignoreList'; duplicates are skipped
+async function addDictionaryEntry(listName, entry) {
+  const value = (entry || '').trim().replace(/\s+/g, ' ');
+  if (!value) return false;
+
+  const lists = await getDictionaryLists();
+  const list = lists[listName];
+  if (list.some(existing => normalizeDictionaryEntry(existing) === normalizeDictionaryEntry(value))) {
+    return false;
+  }
+
+  await chrome.storage.sync.set({ [listName]: [...list, value] });
+  return true;
+}
+
+async function removeDictionaryEntry(listName, entry) {
+  const lists = await getDictionaryLists();
+  const target = normalizeDictionaryEntry(entry);
+  await chrome.storage.sync.set({
+    [listName]: lists[listName].filter(existing => normalizeDictionaryEntry(existing) !== target)
+  });
+}
+
+// Whether `entry` appears in `text` as whole words (both normalized)
+function containsWholeWords(text, entry) {
+  const isWordCharacter = char => char !== undefined && /[\p{L}\p{N}]/u.test(char);
+
+  for (let index = text.indexOf(entry); index !== -1; index = text.indexOf(entry, index + 1)) {
+    if (!isWordCharacter(text[index - 1]) && !isWordCharacter(text[index + entry.length])) return true;
+  }
+  return false;
+}
+
+// A suggestion is dropped when the flagged text contains a dictionary word (the word
+// is correct, whatever is around it) or is exactly an ignore-list entry
+function isSuggestionIgnored(suggestion, dictionary, ignoreList) {
+  const flagged = normalizeDictionaryEntry(suggestion.problematicText);
+  if (!flagged) return false;
+
+  return dictionary.some(entry => {
+    const word = normalizeDictionaryEntry(entry);
+    return word && containsWholeWords(flagged, word);
+  }) || ignoreList.some(entry => normalizeDictionaryEntry(entry) === flagged);
+}
+
+// Prompt lines telling the model which words are correct and which passages to leave alone
+function buildDictionaryInstructions(dictionary, ignoreList) {
+  const words = dictionary.slice(0, MAX_PROMPT_ENTRIES);
+  const passages = ignoreList.slice(0, MAX_PROMPT_ENTRIES - words.length);
+  const lines = [];
+
+  if (words.length > 0) {
+    lines.push(`The user has marked these words as correct wherever they appear. Never flag them: ${words.map(entry => JSON.stringify(entry)).join(', ')}`);
+  }
+  if (passages.length > 0) {
+    lines.push(`Never report a problem whose text is exactly one of these: ${passages.map(entry => JSON.stringify(entry)).join(', ')}`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,109 @@
+// Corrections export: turns the mistake journal into CSV, JSON or an Anki import file
+
+const EXPORT_COLUMNS = [
+  'date', 'language', 'site', 'severity', 'outcome',
+  'problematicText', 'correction', 'message', 'explanation'
+];
+
+// Quote fields that need it, and defuse values a spreadsheet would run as formulas
+function escapeCsvField(value) {
+  let field = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@]/.test(field)) {
+    field = `'${field}`;
+  }
+  if (/[",\r\n]/.test(field)) {
+    field = `"${field.replace(/"/g, '""')}"`;
+  }
+  return field;
+}
+
+function formatEntryForExport(entry) {
+  return {
+    ...entry,
+    date: new Date(entry.date).toISOString()
+  };
+}
+
+function buildCsvExport(entries) {
+  const rows = entries.map(formatEntryForExport).map(entry =>
+    EXPORT_COLUMNS.map(column => escapeCsvField(entry[column])).join(',')
+  );
+  return [EXPORT_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+function buildJsonExport(entries, cards) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    version: 1,
+    entries: entries.map(entry => {
+      const formatted = formatEntryForExport(entry);
+      return Object.fromEntries(EXPORT_COLUMNS.map(column => [column, formatted[column]]));
+    }),
+    mistakes: cards.map(card => ({
+      language: card.language,
+      problematicText: card.problematicText,
+      correction: card.correction,
+      explanation: card.explanation,
+      occurrences: card.occurrences,
+      accepted: card.accepted,
+      dismissed: card.dismissed,
+      firstSeen: new Date(card.firstSeen).toISOString(),
+      lastSeen: new Date(card.lastSeen).toISOString()
+    }))
+  }, null, 2);
+}
+
+function escapeAnkiField(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\t/g, ' ')
+    .replace(/\r?\n/g, '<br>');
+}
+
+// Tab-separated notes with the header lines Anki 2.1.55+ reads on import
+function buildAnkiExport(cards) {
+  const header = [
+    '#separator:tab',
+    '#html:true',
+    '#columns:Front\tBack\tTags',
+    '#tags column:3'
+  ];
+
+  const notes = cards.map(card => {
+    const front = escapeAnkiField(card.problematicText);
+    const back = `<b>${escapeAnkiField(card.correction)}</b>` +
+      (card.explanation ? `<br><br>${escapeAnkiField(card.explanation)}` : '');
+    const tags = `lang-helper ${card.language.replace(/\s+/g, '_')}`;
+    return [front, back, tags].join('\t');
+  });
+
+  return [...header, ...notes].join('\n');
+}
+
+function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportCorrections(format) {
+  const [entries, cards] = await Promise.all([getJournalEntries(), getAllCards()]);
+  const date = new Date().toISOString().slice(0, 10);
+  const basename = `lang-helper-corrections-${date}`;
+
+  if (format === 'csv') {
+    // The byte-order mark makes Excel read accented characters as UTF-8
+    downloadFile(`${basename}.csv`, '\ufeff' + buildCsvExport(entries), 'text/csv;charset=utf-8');
+  } else if (format === 'json') {
+    downloadFile(`${basename}.json`, buildJsonExport(entries, cards), 'application/json');
+  } else if (format === 'anki') {
+    downloadFile(`${basename}-anki.txt`, buildAnkiExport(cards), 'text/plain;charset=utf-8');
+  }
+
+  return format === 'anki' ? cards.length : entries.length;
+}
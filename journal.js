@@ -0,0 +1,178 @@
+// Mistake journal: suggestions the user sees, accepts or dismisses are stored in
+// IndexedDB, and mistakes that keep coming back become SM-2 scheduled flashcards.
+// Shared by the service worker (writes) and the extension pages (review, popup).
+
+const JOURNAL_DB_NAME = 'lang-helper-journal';
+const JOURNAL_DB_VERSION = 1;
+const RECURRING_THRESHOLD = 2; // Times a mistake must be seen before it becomes a card
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let journalDbPromise = null;
+
+function openJournal() {
+  if (journalDbPromise) return journalDbPromise;
+
+  journalDbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(JOURNAL_DB_NAME, JOURNAL_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+
+      const entries = db.createObjectStore('entries', { keyPath: 'id', autoIncrement: true });
+      entries.createIndex('mistakeKey', 'mistakeKey');
+      entries.createIndex('date', 'date');
+
+      // Cards only get a "due" value once they are scheduled, so the index skips the rest
+      const cards = db.createObjectStore('cards', { keyPath: 'mistakeKey' });
+      cards.createIndex('due', 'due');
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      journalDbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return journalDbPromise;
+}
+
+// Wrap an IDBRequest or IDBTransaction in a promise
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    if (request instanceof IDBTransaction) {
+      request.oncomplete = () => resolve();
+      request.onerror = () => reject(request.error);
+      request.onabort = () => reject(request.error);
+    } else {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }
+  });
+}
+
+// The same wrong -> right pair in the same language is treated as one mistake
+function getMistakeKey(language, problematicText, correction) {
+  const normalize = (value) => (value || '').trim().toLowerCase();
+  return `${language}|${normalize(problematicText)}|${normalize(correction)}`;
+}
+
+// outcome is 'seen', 'accepted' or 'dismissed'
+async function recordJournalEntry({ outcome, language, site, suggestion }) {
+  const db = await openJournal();
+  const mistakeKey = getMistakeKey(language, suggestion.problematicText, suggestion.correction);
+  const now = Date.now();
+
+  const tx = db.transaction(['entries', 'cards'], 'readwrite');
+  const entries = tx.objectStore('entries');
+  const cards = tx.objectStore('cards');
+
+  entries.add({
+    mistakeKey,
+    outcome,
+    language,
+    site,
+    date: now,
+    severity: suggestion.severity || 'info',
+    problematicText: suggestion.problematicText || '',
+    correction: suggestion.correction || '',
+    message: suggestion.message || '',
+    explanation: suggestion.explanation || ''
+  });
+
+  const card = await promisifyRequest(cards.get(mistakeKey)) || {
+    mistakeKey,
+    language,
+    problematicText: suggestion.problematicText || '',
+    correction: suggestion.correction || '',
+    explanation: suggestion.explanation || '',
+    occurrences: 0,
+    accepted: 0,
+    dismissed: 0,
+    easeFactor: 2.5,
+    interval: 0,
+    repetitions: 0,
+    firstSeen: now
+  };
+
+  if (outcome === 'seen') card.occurrences++;
+  if (outcome === 'accepted') card.accepted++;
+  if (outcome === 'dismissed') card.dismissed++;
+  card.lastSeen = now;
+
+  // A dismissed flag is usually a false positive, so it is not worth studying
+  const isRecurring = card.occurrences >= RECURRING_THRESHOLD && card.dismissed <= card.accepted;
+  if (isRecurring && card.due === undefined) {
+    card.due = now;
+  } else if (!isRecurring) {
+    delete card.due;
+  }
+
+  cards.put(card);
+  await promisifyRequest(tx);
+}
+
+async function getDueCards(limit = 50) {
+  const db = await openJournal();
+  const index = db.transaction('cards').objectStore('cards').index('due');
+  return promisifyRequest(index.getAll(IDBKeyRange.upperBound(Date.now()), limit));
+}
+
+async function getJournalStats() {
+  const db = await openJournal();
+  const tx = db.transaction(['entries', 'cards']);
+  const [entryCount, cardCount, dueCount] = await Promise.all([
+    promisifyRequest(tx.objectStore('entries').count()),
+    promisifyRequest(tx.objectStore('cards').index('due').count()),
+    promisifyRequest(tx.objectStore('cards').index('due').count(IDBKeyRange.upperBound(Date.now())))
+  ]);
+  return { entryCount, cardCount, dueCount };
+}
+
+// SM-2: quality is 0-5, anything below 3 restarts the card
+function scheduleReview(card, quality, now = Date.now()) {
+  const updated = { ...card };
+
+  if (quality < 3) {
+    updated.repetitions = 0;
+    updated.interval = 1;
+  } else {
+    if (updated.repetitions === 0) {
+      updated.interval = 1;
+    } else if (updated.repetitions === 1) {
+      updated.interval = 6;
+    } else {
+      updated.interval = Math.round(updated.interval * updated.easeFactor);
+    }
+    updated.repetitions++;
+  }
+
+  updated.easeFactor = Math.max(1.3, updated.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+  updated.due = now + updated.interval * DAY_MS;
+  updated.lastReviewed = now;
+  return updated;
+}
+
+async function reviewCard(mistakeKey, quality) {
+  const db = await openJournal();
+  const tx = db.transaction('cards', 'readwrite');
+  const cards = tx.objectStore('cards');
+
+  const card = await promisifyRequest(cards.get(mistakeKey));
+  if (!card) return null;
+
+  const updated = scheduleReview(card, quality);
+  cards.put(updated);
+  await promisifyRequest(tx);
+  return updated;
+}
+
+async function getJournalEntries() {
+  const db = await openJournal();
+  return promisifyRequest(db.transaction('entries').objectStore('entries').index('date').getAll());
+}
+
+async function getAllCards() {
+  const db = await openJournal();
+  return promisifyRequest(db.transaction('cards').objectStore('cards').getAll());
+}
@@ -0,0 +1,104 @@
+// Keyboard shortcuts: in-page key bindings for moving between suggestions, and an
+// accent helper that turns the letter before the caret into its accented forms.
+// Shared by the content script (handlers) and the options page (key recorder).
+
+const SHORTCUT_ACTIONS = {
+  next: 'Next suggestion',
+  previous: 'Previous suggestion',
+  accept: 'Accept suggestion',
+  dismiss: 'Dismiss suggestion',
+  accent: 'Cycle accents on the previous letter',
+  rewrite: 'Rewrite the whole text'
+};
+
+// Navigation comes from the browser-level commands by default (see manifest.json);
+// in-page bindings are for keys chrome.commands doesn't allow, such as Alt+Enter.
+// None ship bound: Alt+letter types characters on macOS (Option+A is å) and in many
+// keyboard layouts, so the accent and rewrite keys are picked on the options page.
+const DEFAULT_SHORTCUTS = {
+  next: '',
+  previous: '',
+  accept: '',
+  dismiss: '',
+  accent: '',
+  rewrite: ''
+};
+
+// chrome.commands name -> shortcut action
+const COMMAND_ACTIONS = {
+  'next-suggestion': 'next',
+  'previous-suggestion': 'previous',
+  'accept-suggestion': 'accept',
+  'dismiss-suggestion': 'dismiss'
+};
+
+// Each group is cycled in order, so pressing the accent key repeatedly walks
+// through every form of the letter and back to the plain one
+const ACCENT_VARIANTS = {
+  Spanish: ['aá', 'eé', 'ií', 'oó', 'uúü', 'nñ', '?¿', '!¡'],
+  French: ['aàâæ', 'eéèêë', 'iîï', 'oôœ', 'uùûü', 'yÿ', 'cç'],
+  German: ['aä', 'oö', 'uü', 'sß'],
+  Italian: ['aà', 'eèé', 'iìí', 'oòó', 'uùú'],
+  Portuguese: ['aáàâã', 'eéê', 'ií', 'oóôõ', 'uú', 'cç'],
+  Dutch: ['eéë', 'iï', 'oö', 'uü'],
+  Swedish: ['aåä', 'oö', 'eé'],
+  Norwegian: ['aåæ', 'oø', 'eé'],
+  Danish: ['aåæ', 'oø', 'eé'],
+  Polish: ['aą', 'cć', 'eę', 'lł', 'nń', 'oó', 'sś', 'zźż'],
+  Turkish: ['cç', 'gğ', 'iı', 'oö', 'sş', 'uü']
+};
+
+function getShortcuts(customShortcuts) {
+  return { ...DEFAULT_SHORTCUTS, ...customShortcuts };
+}
+
+// In-page keys are taken from every monitored field, so a binding needs Ctrl, Alt or
+// Meta (function keys may stand alone); a plain A or Enter would stop typing it
+function isUsableShortcut(shortcut) {
+  const parts = shortcut.split('+');
+  const key = parts[parts.length - 1];
+  return parts.some(part => ['Ctrl', 'Alt', 'Meta'].includes(part)) || /^F([1-9]|1[0-2])$/.test(key);
+}
+
+// "Alt+Shift+J"-style name for a keydown. Letters and digits use the physical key,
+// so Option combinations on macOS (which type ∆, å, ...) still match.
+function getShortcutFromEvent(event) {
+  if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) return null;
+
+  let key = event.key;
+  if (/^Key[A-Z]$/.test(event.code)) {
+    key = event.code.slice(3);
+  } else if (/^Digit[0-9]$/.test(event.code)) {
+    key = event.code.slice(5);
+  } else if (key === ' ') {
+    key = 'Space';
+  } else if (key.length === 1) {
+    key = key.toUpperCase();
+  }
+
+  const parts = [];
+  if (event.ctrlKey) parts.push('Ctrl');
+  if (event.altKey) parts.push('Alt');
+  if (event.shiftKey) parts.push('Shift');
+  if (event.metaKey) parts.push('Meta');
+  parts.push(key);
+  return parts.join('+');
+}
+
+// The form that follows `char` in its language's accent group, keeping its case
+function getNextAccentVariant(char, language) {
+  const groups = ACCENT_VARIANTS[language];
+  if (!groups || !char) return null;
+
+  const lower = char.toLowerCase();
+  const isUpper = char !== lower;
+  const group = groups.find(variants => variants.includes(lower));
+  if (!group) return null;
+
+  // ß has no single-letter capital in most fonts, so capitals skip it
+  const variants = [...group].filter(variant => !isUpper || variant.toUpperCase().length === 1);
+  if (variants.length < 2) return null;
+
+  const next = variants[(variants.indexOf(lower) + 1) % variants.length];
+  return isUpper ? next.toUpperCase() : next;
+}
@@ -0,0 +1,117 @@
+// API key storage: the key lives in chrome.storage.local (never synced), optionally
+// encrypted with a passphrase. An unlocked key is kept in chrome.storage.session,
+// which only extension pages and the service worker can read, until the browser closes.
+
+const PBKDF2_ITERATIONS = 310000;
+
+// Non-secret flag content scripts read to know whether LLM analysis is possible
+const API_KEY_FLAG = 'apiKeyConfigured';
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+async function deriveKeyFromPassphrase(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptApiKey(apiKey, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKeyFromPassphrase(passphrase, salt, PBKDF2_ITERATIONS);
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(apiKey));
+
+  return {
+    salt: bytesToBase64(salt),
+    iv: bytesToBase64(iv),
+    iterations: PBKDF2_ITERATIONS,
+    data: bytesToBase64(data)
+  };
+}
+
+// AES-GCM authenticates the data, so a wrong passphrase fails here instead of
+// producing a garbage key
+async function decryptApiKey(encrypted, passphrase) {
+  const key = await deriveKeyFromPassphrase(passphrase, base64ToBytes(encrypted.salt), encrypted.iterations);
+  try {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(encrypted.iv) }, key, base64ToBytes(encrypted.data));
+    return new TextDecoder().decode(data);
+  } catch (error) {
+    throw new Error('Wrong passphrase');
+  }
+}
+
+// 'missing' | 'plain' | 'locked' | 'unlocked'
+async function getApiKeyStatus() {
+  const { apiKey, encryptedApiKey } = await chrome.storage.local.get(['apiKey', 'encryptedApiKey']);
+  if (encryptedApiKey) {
+    const { unlockedApiKey } = await chrome.storage.session.get(['unlockedApiKey']);
+    return unlockedApiKey ? 'unlocked' : 'locked';
+  }
+  return apiKey ? 'plain' : 'missing';
+}
+
+// The usable key, '' when none is set; a locked key throws a 'locked' provider error
+async function getApiKey() {
+  const { apiKey, encryptedApiKey } = await chrome.storage.local.get(['apiKey', 'encryptedApiKey']);
+  if (!encryptedApiKey) return apiKey || '';
+
+  const { unlockedApiKey } = await chrome.storage.session.get(['unlockedApiKey']);
+  if (!unlockedApiKey) {
+    throw createProviderError('locked');
+  }
+  return unlockedApiKey;
+}
+
+// Save a key, encrypting it when a passphrase is given; an empty key removes it
+async function saveApiKey(apiKey, passphrase = '') {
+  if (!apiKey) {
+    await chrome.storage.local.remove(['apiKey', 'encryptedApiKey']);
+    await chrome.storage.session.remove('unlockedApiKey');
+    await chrome.storage.local.set({ [API_KEY_FLAG]: false });
+    return;
+  }
+
+  if (passphrase) {
+    await chrome.storage.local.set({ encryptedApiKey: await encryptApiKey(apiKey, passphrase), [API_KEY_FLAG]: true });
+    await chrome.storage.local.remove('apiKey');
+    await chrome.storage.session.set({ unlockedApiKey: apiKey });
+  } else {
+    await chrome.storage.local.set({ apiKey, [API_KEY_FLAG]: true });
+    await chrome.storage.local.remove('encryptedApiKey');
+    await chrome.storage.session.remove('unlockedApiKey');
+  }
+}
+
+async function unlockApiKey(passphrase) {
+  const { encryptedApiKey } = await chrome.storage.local.get(['encryptedApiKey']);
+  if (!encryptedApiKey) return;
+  await chrome.storage.session.set({ unlockedApiKey: await decryptApiKey(encryptedApiKey, passphrase) });
+}
+
+function lockApiKey() {
+  return chrome.storage.session.remove('unlockedApiKey');
+}
+
+// Older versions kept the key in sync storage, which copies it to every signed-in profile
+async function migrateApiKeyFromSync() {
+  const { apiKey } = await chrome.storage.sync.get(['apiKey']);
+  if (apiKey === undefined) return;
+
+  const { apiKey: localKey, encryptedApiKey } = await chrome.storage.local.get(['apiKey', 'encryptedApiKey']);
+  if (apiKey && !localKey && !encryptedApiKey) {
+    await chrome.storage.local.set({ apiKey, [API_KEY_FLAG]: true });
+  }
+  await chrome.storage.sync.remove('apiKey');
+}
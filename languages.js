@@ -0,0 +1,98 @@
+// Study languages and language detection: every paragraph is checked with Chrome's
+// built-in detector (it runs locally), and only paragraphs written in one of the
+// learner's study languages are analyzed.
+
+// Language name -> codes chrome.i18n.detectLanguage reports for it
+const LANGUAGES = {
+  Spanish: ['es'],
+  French: ['fr'],
+  German: ['de'],
+  Italian: ['it'],
+  Portuguese: ['pt'],
+  Japanese: ['ja'],
+  Korean: ['ko'],
+  'Mandarin Chinese': ['zh'],
+  Arabic: ['ar'],
+  Russian: ['ru'],
+  Dutch: ['nl'],
+  Swedish: ['sv'],
+  Norwegian: ['no', 'nb', 'nn'],
+  Danish: ['da'],
+  Polish: ['pl'],
+  Turkish: ['tr'],
+  Hindi: ['hi'],
+  Vietnamese: ['vi'],
+  Thai: ['th'],
+  Greek: ['el']
+};
+
+const DEFAULT_TARGET_LANGUAGES = ['Spanish'];
+const DETECTION_CACHE_LIMIT = 500;
+
+let detectionCache = new Map(); // "hash:length" -> { code, reliable }
+
+// Settings saved before several study languages were supported hold one targetLanguage
+function getTargetLanguages(settings) {
+  if (Array.isArray(settings.targetLanguages) && settings.targetLanguages.length > 0) {
+    return settings.targetLanguages;
+  }
+  return settings.targetLanguage ? [settings.targetLanguage] : DEFAULT_TARGET_LANGUAGES;
+}
+
+function getLanguageForCode(code) {
+  const base = code.toLowerCase().split('-')[0];
+  return Object.keys(LANGUAGES).find(name => LANGUAGES[name].includes(base)) || null;
+}
+
+// Resolves to { code, reliable }; short text is usually not reliable
+function detectTextLanguage(text) {
+  const key = `${hashText(text)}:${text.length}`;
+  if (detectionCache.has(key)) {
+    return Promise.resolve(detectionCache.get(key));
+  }
+
+  return new Promise((resolve) => {
+    chrome.i18n.detectLanguage(text, (result) => {
+      const top = result && result.languages && result.languages[0];
+      const detection = {
+        code: top ? top.language : 'und',
+        reliable: Boolean(top && result.isReliable)
+      };
+
+      detectionCache.set(key, detection);
+      if (detectionCache.size > DETECTION_CACHE_LIMIT) {
+        detectionCache.delete(detectionCache.keys().next().value);
+      }
+      resolve(detection);
+    });
+  });
+}
+
+// The study language a detection points to: a reliable hit in another language
+// means "skip" (null), an unreliable one falls back to the surrounding text's language
+function resolveStudyLanguage(detection, targetLanguages, fallback) {
+  if (!detection.reliable) return fallback;
+
+  const language = getLanguageForCode(detection.code);
+  return targetLanguages.includes(language) ? language : null;
+}
+
+// Detect the field as a whole, then each paragraph, so mixed-language text is
+// split correctly. Resolves to { language, segments: [{ start, text, language }] }.
+async function detectSegmentLanguages(text, targetLanguages) {
+  const fieldLanguage = resolveStudyLanguage(await detectTextLanguage(text), targetLanguages, targetLanguages[0]);
+  const segments = splitIntoSegments(text);
+
+  if (segments.length <= 1) {
+    return { language: fieldLanguage, segments: segments.map(segment => ({ ...segment, language: fieldLanguage })) };
+  }
+
+  const detections = await Promise.all(segments.map(segment => detectTextLanguage(segment.text)));
+  return {
+    language: fieldLanguage,
+    segments: segments.map((segment, index) => ({
+      ...segment,
+      language: resolveStudyLanguage(detections[index], targetLanguages, fieldLanguage)
+    }))
+  };
+}
@@ -0,0 +1,535 @@
+// Options page: manages the provider and its API key, the synced dictionary, ignore
+// list, site rules, privacy settings and keyboard shortcuts, and shows the log of
+// text sent to the provider
+
+// Provider: endpoint and model are synced, the key stays in local storage (keystore.js)
+const providerSelect = document.getElementById('provider');
+const apiKeyInput = document.getElementById('apiKey');
+const apiKeyLabel = document.getElementById('apiKeyLabel');
+const apiKeyHint = document.getElementById('apiKeyHint');
+const keyStatus = document.getElementById('keyStatus');
+const passphraseInput = document.getElementById('passphrase');
+const unlockForm = document.getElementById('unlockForm');
+const baseUrlInput = document.getElementById('baseUrl');
+const modelInput = document.getElementById('model');
+const modelOptions = document.getElementById('modelOptions');
+const requestsPerMinuteInput = document.getElementById('requestsPerMinute');
+const removeKeyBtn = document.getElementById('removeKeyBtn');
+const lockKeyBtn = document.getElementById('lockKeyBtn');
+const providerSuccess = document.getElementById('providerSuccess');
+const providerError = document.getElementById('providerError');
+
+const KEY_STATUS_TEXT = {
+  missing: 'No key saved',
+  plain: '✓ Key saved on this device',
+  locked: '🔒 Key saved and encrypted. Unlock it to use it in this browser session.',
+  unlocked: '🔓 Key saved and encrypted, unlocked for this browser session'
+};
+
+Object.entries(PROVIDERS).forEach(([id, provider]) => {
+  providerSelect.add(new Option(provider.label, id));
+});
+
+function showProviderResult(message, isError) {
+  providerSuccess.hidden = isError;
+  providerError.hidden = !isError;
+  (isError ? providerError : providerSuccess).textContent = message;
+}
+
+// Show the right placeholders and key hints for the selected provider
+function updateProviderFields() {
+  const provider = PROVIDERS[providerSelect.value];
+  apiKeyLabel.textContent = provider.requiresApiKey ? `${provider.label} API key` : 'API key (optional)';
+  apiKeyHint.hidden = providerSelect.value !== 'anthropic';
+  baseUrlInput.placeholder = provider.defaultBaseUrl;
+  modelInput.placeholder = provider.defaultModel;
+  modelOptions.innerHTML = '';
+}
+
+async function renderKeyStatus() {
+  const status = await getApiKeyStatus();
+  keyStatus.textContent = KEY_STATUS_TEXT[status];
+  apiKeyInput.placeholder = status === 'missing'
+    ? PROVIDERS[providerSelect.value].keyPlaceholder
+    : 'Type a new key to replace the saved one';
+  unlockForm.hidden = status !== 'locked';
+  lockKeyBtn.hidden = status !== 'unlocked';
+  removeKeyBtn.hidden = status === 'missing';
+  return status;
+}
+
+// New settings deserve a fresh start: forget the last request's error and its badge
+function clearProviderStatus() {
+  chrome.storage.local.remove('providerStatus');
+  chrome.action.setBadgeText({ text: '' });
+}
+
+// Custom endpoints need host access; ask while we still have the click gesture
+async function requestEndpointAccess(baseUrl) {
+  if (!baseUrl) return;
+
+  let origin;
+  try {
+    origin = new URL(baseUrl).origin;
+  } catch (error) {
+    throw new Error('Please enter a valid endpoint URL');
+  }
+
+  if (!await chrome.permissions.request({ origins: [`${origin}/*`] })) {
+    throw new Error('Access to the endpoint was not granted');
+  }
+}
+
+// The settings as currently typed, with the saved key unless a new one was entered
+async function getDraftProviderConfig() {
+  const provider = PROVIDERS[providerSelect.value];
+  let apiKey = apiKeyInput.value.trim();
+  if (!apiKey) {
+    try {
+      apiKey = await getApiKey();
+    } catch (error) {
+      if (provider.requiresApiKey) throw error;
+    }
+  }
+
+  return {
+    id: providerSelect.value,
+    provider,
+    apiKey,
+    baseUrl: (baseUrlInput.value.trim() || provider.defaultBaseUrl).replace(/\/+$/, ''),
+    model: modelInput.value.trim() || provider.defaultModel
+  };
+}
+
+async function saveProviderSettings() {
+  const provider = PROVIDERS[providerSelect.value];
+  const apiKey = apiKeyInput.value.trim();
+  const passphrase = passphraseInput.value;
+  const status = await getApiKeyStatus();
+
+  if (!apiKey && status === 'missing' && provider.requiresApiKey) {
+    throw new Error('Please enter an API key');
+  }
+
+  await requestEndpointAccess(baseUrlInput.value.trim());
+  await chrome.storage.sync.set({
+    provider: providerSelect.value,
+    providerBaseUrl: baseUrlInput.value.trim(),
+    providerModel: modelInput.value.trim(),
+    requestsPerMinute: Math.max(1, Math.round(Number(requestsPerMinuteInput.value))) || DEFAULT_REQUESTS_PER_MINUTE
+  });
+
+  if (apiKey) {
+    await saveApiKey(apiKey, passphrase);
+  } else if (passphrase && status === 'plain') {
+    // Encrypt the key that is already saved
+    await saveApiKey(await getApiKey(), passphrase);
+  }
+
+  apiKeyInput.value = '';
+  passphraseInput.value = '';
+  clearProviderStatus();
+  await renderKeyStatus();
+}
+
+document.getElementById('saveProviderBtn').addEventListener('click', () => {
+  saveProviderSettings()
+    .then(() => showProviderResult('Saved', false))
+    .catch(error => showProviderResult(error.message, true));
+});
+
+document.getElementById('testConnectionBtn').addEventListener('click', async () => {
+  showProviderResult('Testing…', false);
+  try {
+    await requestEndpointAccess(baseUrlInput.value.trim());
+    const config = await getDraftProviderConfig();
+    const { models, latency } = await testProviderConnection(config);
+    clearProviderStatus();
+
+    modelOptions.innerHTML = '';
+    models.forEach(model => modelOptions.appendChild(new Option(model, model)));
+    const modelCount = models.length > 0 ? `, ${models.length} models available` : '';
+    showProviderResult(`✓ Connected: ${config.model} answered in ${(latency / 1000).toFixed(1)}s${modelCount}`, false);
+  } catch (error) {
+    showProviderResult(error.message, true);
+  }
+});
+
+unlockForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const input = unlockForm.querySelector('input');
+  unlockApiKey(input.value)
+    .then(() => {
+      input.value = '';
+      showProviderResult('Key unlocked for this browser session', false);
+      clearProviderStatus();
+      return renderKeyStatus();
+    })
+    .catch(error => showProviderResult(error.message, true));
+});
+
+lockKeyBtn.addEventListener('click', () => {
+  lockApiKey().then(renderKeyStatus);
+});
+
+removeKeyBtn.addEventListener('click', () => {
+  saveApiKey('').then(() => {
+    showProviderResult('Key removed', false);
+    return renderKeyStatus();
+  });
+});
+
+providerSelect.addEventListener('change', () => {
+  updateProviderFields();
+  renderKeyStatus();
+});
+
+chrome.storage.sync.get(['provider', 'providerBaseUrl', 'providerModel', 'requestsPerMinute'], (result) => {
+  providerSelect.value = PROVIDERS[result.provider] ? result.provider : DEFAULT_PROVIDER;
+  baseUrlInput.value = result.providerBaseUrl || '';
+  modelInput.value = result.providerModel || '';
+  requestsPerMinuteInput.value = result.requestsPerMinute || DEFAULT_REQUESTS_PER_MINUTE;
+  updateProviderFields();
+  renderKeyStatus();
+});
+
+const listSections = document.querySelectorAll('[data-list]');
+
+// Entries as removable chips; `label` turns an entry into its displayed text
+function renderEntries(listElement, entries, onRemove, label = entry => entry) {
+  listElement.innerHTML = '';
+
+  if (entries.length === 0) {
+    listElement.innerHTML = '<li class="empty">Nothing here yet</li>';
+    return;
+  }
+
+  entries.forEach(entry => {
+    const item = document.createElement('li');
+    const text = document.createElement('span');
+    text.textContent = label(entry);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'remove-btn';
+    removeBtn.title = 'Remove';
+    removeBtn.textContent = '×';
+    removeBtn.addEventListener('click', () => onRemove(entry));
+
+    item.append(text, removeBtn);
+    listElement.appendChild(item);
+  });
+}
+
+function renderLists(lists) {
+  listSections.forEach(section => {
+    renderEntries(section.querySelector('.entry-list'), lists[section.dataset.list], (entry) => {
+      removeDictionaryEntry(section.dataset.list, entry).catch(error => showError(section, error));
+    });
+  });
+}
+
+// Sync storage has a per-item size limit, so a very long list can fail to save
+function showError(section, error) {
+  const errorElement = section.querySelector('.error');
+  errorElement.textContent = `Could not save: ${error.message}`;
+  errorElement.hidden = false;
+}
+
+listSections.forEach(section => {
+  const form = section.querySelector('form');
+  const input = form.querySelector('input');
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    section.querySelector('.error').hidden = true;
+
+    addDictionaryEntry(section.dataset.list, input.value)
+      .then(() => { input.value = ''; })
+      .catch(error => showError(section, error));
+  });
+});
+
+// Re-render on any change, including words added from a page's tooltip
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && DICTIONARY_LISTS.some(list => changes[list])) {
+    getDictionaryLists().then(renderLists);
+  }
+});
+
+getDictionaryLists().then(renderLists);
+
+// Site rules: allow/block lists, per-site languages and fields that are never checked
+const siteListSections = document.querySelectorAll('[data-site-list]');
+const allowListOnlyInput = document.getElementById('allowListOnly');
+const siteLanguageForm = document.getElementById('siteLanguageForm');
+const siteLanguageSelect = document.getElementById('siteLanguageSelect');
+const siteLanguageList = document.getElementById('siteLanguageList');
+const optOutInputs = document.querySelectorAll('[data-opt-out]');
+const siteError = document.getElementById('siteError');
+
+Object.keys(LANGUAGES).forEach(language => {
+  siteLanguageSelect.add(new Option(language, language));
+});
+
+// Selectors live inside fieldOptOuts; the site lists are top-level keys
+function getSiteList(settings, listName) {
+  return listName === 'selectors' ? getFieldOptOuts(settings).selectors : settings[listName] || [];
+}
+
+function setSiteList(settings, listName, entries) {
+  if (listName === 'selectors') {
+    return chrome.storage.sync.set({ fieldOptOuts: { ...getFieldOptOuts(settings), selectors: entries } });
+  }
+  return chrome.storage.sync.set({ [listName]: entries });
+}
+
+function showSiteError(message) {
+  siteError.textContent = message;
+  siteError.hidden = false;
+}
+
+function renderSiteSettings(settings) {
+  allowListOnlyInput.checked = Boolean(settings.allowListOnly);
+
+  siteListSections.forEach(section => {
+    const listName = section.dataset.siteList;
+    const entries = getSiteList(settings, listName);
+    renderEntries(section.querySelector('.entry-list'), entries, (entry) => {
+      setSiteList(settings, listName, entries.filter(other => other !== entry));
+    });
+  });
+
+  const siteLanguages = settings.siteLanguages || {};
+  renderEntries(siteLanguageList, Object.keys(siteLanguages), (domain) => {
+    const { [domain]: removed, ...rest } = siteLanguages;
+    chrome.storage.sync.set({ siteLanguages: rest });
+  }, domain => `${domain} → ${siteLanguages[domain]}`);
+
+  const optOuts = getFieldOptOuts(settings);
+  optOutInputs.forEach(input => {
+    input.checked = Boolean(optOuts[input.dataset.optOut]);
+  });
+}
+
+siteListSections.forEach(section => {
+  const listName = section.dataset.siteList;
+  const form = section.querySelector('form');
+  const input = form.querySelector('input');
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    siteError.hidden = true;
+
+    const entry = listName === 'selectors' ? input.value.trim() : normalizeDomain(input.value);
+    if (!entry) return;
+
+    if (listName === 'selectors') {
+      try {
+        document.querySelector(entry);
+      } catch (error) {
+        showSiteError(`"${entry}" is not a valid CSS selector`);
+        return;
+      }
+    }
+
+    const settings = await getSiteSettings();
+    const entries = getSiteList(settings, listName);
+    if (!entries.includes(entry)) {
+      await setSiteList(settings, listName, [...entries, entry]);
+    }
+    input.value = '';
+  });
+});
+
+siteLanguageForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const input = siteLanguageForm.querySelector('input');
+  const domain = normalizeDomain(input.value);
+  if (!domain) return;
+
+  const settings = await getSiteSettings();
+  await chrome.storage.sync.set({
+    siteLanguages: { ...settings.siteLanguages, [domain]: siteLanguageSelect.value }
+  });
+  input.value = '';
+});
+
+allowListOnlyInput.addEventListener('change', () => {
+  chrome.storage.sync.set({ allowListOnly: allowListOnlyInput.checked });
+});
+
+optOutInputs.forEach(input => {
+  input.addEventListener('change', async () => {
+    const settings = await getSiteSettings();
+    chrome.storage.sync.set({
+      fieldOptOuts: { ...getFieldOptOuts(settings), [input.dataset.optOut]: input.checked }
+    });
+  });
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && SITE_RULE_KEYS.some(key => changes[key])) {
+    getSiteSettings().then(renderSiteSettings);
+  }
+});
+
+getSiteSettings().then(renderSiteSettings);
+
+// Privacy: redaction settings and the local log of what was sent
+const redactPIIInput = document.getElementById('redactPII');
+const redactionTermForm = document.getElementById('redactionTermForm');
+const redactionTermList = document.getElementById('redactionTermList');
+const auditLogElement = document.getElementById('auditLog');
+
+function renderRedactionSettings({ enabled, terms }) {
+  redactPIIInput.checked = enabled;
+  renderEntries(redactionTermList, terms, (term) => {
+    chrome.storage.sync.set({ redactionTerms: terms.filter(other => other !== term) });
+  });
+}
+
+redactPIIInput.addEventListener('change', () => {
+  chrome.storage.sync.set({ redactPII: redactPIIInput.checked });
+});
+
+redactionTermForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const input = redactionTermForm.querySelector('input');
+  const term = input.value.trim();
+  if (!term) return;
+
+  const { terms } = await getRedactionSettings();
+  if (!terms.includes(term)) {
+    await chrome.storage.sync.set({ redactionTerms: [...terms, term] });
+  }
+  input.value = '';
+});
+
+function renderAuditLog(entries) {
+  auditLogElement.innerHTML = '';
+
+  if (entries.length === 0) {
+    auditLogElement.innerHTML = '<div class="empty">Nothing has been sent yet</div>';
+    return;
+  }
+
+  entries.forEach(entry => {
+    const item = document.createElement('div');
+    item.className = 'audit-entry';
+
+    const redactions = Object.entries(entry.redactions)
+      .map(([type, count]) => `${count} ${type.toLowerCase()}`)
+      .join(', ');
+    const meta = document.createElement('div');
+    meta.className = 'audit-meta';
+    meta.textContent = [
+      new Date(entry.timestamp).toLocaleString(),
+      entry.site || 'unknown site',
+      `${entry.provider} (${entry.model})`,
+      `${entry.characters} characters`,
+      redactions ? `redacted: ${redactions}` : 'nothing redacted'
+    ].join(' · ');
+
+    const text = document.createElement('div');
+    text.className = 'audit-text';
+    text.textContent = entry.text;
+
+    item.append(meta, text);
+    auditLogElement.appendChild(item);
+  });
+}
+
+document.getElementById('auditLimit').textContent = AUDIT_LOG_LIMIT;
+document.getElementById('clearAuditBtn').addEventListener('click', () => clearAuditLog());
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && REDACTION_KEYS.some(key => changes[key])) {
+    getRedactionSettings().then(renderRedactionSettings);
+  }
+  if (area === 'local' && changes.auditLog) {
+    renderAuditLog(changes.auditLog.newValue || []);
+  }
+});
+
+getRedactionSettings().then(renderRedactionSettings);
+getAuditLog().then(renderAuditLog);
+
+// Browser-level commands can only be rebound on Chrome's own page
+const commandList = document.getElementById('commandList');
+
+chrome.commands.getAll((commands) => {
+  commands.filter(command => COMMAND_ACTIONS[command.name]).forEach(command => {
+    const row = document.createElement('div');
+    row.className = 'shortcut-row';
+    const label = document.createElement('span');
+    label.textContent = command.description;
+    const key = document.createElement('span');
+    key.className = 'shortcut-key';
+    key.textContent = command.shortcut || 'Not set';
+    row.append(label, key);
+    commandList.appendChild(row);
+  });
+});
+
+document.getElementById('openShortcutsBtn').addEventListener('click', () => {
+  chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+});
+
+// In-page shortcuts: each box records the next key combination pressed in it
+const shortcutList = document.getElementById('shortcutList');
+const shortcutError = document.getElementById('shortcutError');
+
+function renderShortcuts(customShortcuts) {
+  const shortcuts = getShortcuts(customShortcuts);
+  shortcutList.innerHTML = '';
+
+  Object.entries(SHORTCUT_ACTIONS).forEach(([action, label]) => {
+    const row = document.createElement('div');
+    row.className = 'shortcut-row';
+    const name = document.createElement('span');
+    name.textContent = label;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.readOnly = true;
+    input.value = shortcuts[action];
+    input.placeholder = 'Not set';
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Tab') return;
+      e.preventDefault();
+
+      const shortcut = ['Backspace', 'Delete'].includes(e.key) ? '' : getShortcutFromEvent(e);
+      if (shortcut === null) return;
+      if (shortcut && !isUsableShortcut(shortcut)) {
+        shortcutError.textContent = `${shortcut} would stop that key from typing; hold Ctrl, Alt or ⌘ with it (F1–F12 work alone)`;
+        shortcutError.hidden = false;
+        return;
+      }
+      saveShortcut(action, shortcut, customShortcuts);
+    });
+
+    row.append(name, input);
+    shortcutList.appendChild(row);
+  });
+}
+
+function saveShortcut(action, shortcut, customShortcuts) {
+  const shortcuts = getShortcuts(customShortcuts);
+  const clash = Object.keys(shortcuts).find(other => other !== action && shortcut && shortcuts[other] === shortcut);
+  if (clash) {
+    shortcutError.textContent = `${shortcut} is already used for "${SHORTCUT_ACTIONS[clash]}"`;
+    shortcutError.hidden = false;
+    return;
+  }
+
+  shortcutError.hidden = true;
+  chrome.storage.sync.set({ shortcuts: { ...customShortcuts, [action]: shortcut } });
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.shortcuts) {
+    renderShortcuts(changes.shortcuts.newValue || {});
+  }
+});
+
+chrome.storage.sync.get(['shortcuts'], (result) => renderShortcuts(result.shortcuts || {}));
@@ -1,38 +1,247 @@
 // Popup script: Handles settings UI
 
-const languageSelect = document.getElementById('language');
-const apiKeyInput = document.getElementById('apiKey');
+const languagesContainer = document.getElementById('languages');
+const strictnessSelect = document.getElementById('strictness');
+const categoriesContainer = document.getElementById('categories');
+const cefrLevelSelect = document.getElementById('cefrLevel');
+const nativeLanguageSelect = document.getElementById('nativeLanguage');
+const explanationLanguageSelect = document.getElementById('explanationLanguage');
+const providerSummary = document.getElementById('providerSummary');
+const providerStatus = document.getElementById('providerStatus');
+const queueStatus = document.getElementById('queueStatus');
+const usageSpend = document.getElementById('usageSpend');
+const budgetBar = document.getElementById('budgetBar');
+const budgetFill = document.getElementById('budgetFill');
+const usageDetails = document.getElementById('usageDetails');
+const monthlyBudgetInput = document.getElementById('monthlyBudget');
+const budgetActionSelect = document.getElementById('budgetAction');
 const enabledToggle = document.getElementById('enabled');
 const saveBtn = document.getElementById('saveBtn');
 const statusMessage = document.getElementById('statusMessage');
+const reviewBtn = document.getElementById('reviewBtn');
+const optionsBtn = document.getElementById('optionsBtn');
+const siteToggleContainer = document.getElementById('siteToggleContainer');
+const siteToggleLabel = document.getElementById('siteToggleLabel');
+const siteEnabledToggle = document.getElementById('siteEnabled');
+
+// Strictness profiles and one checkbox per issue category
+Object.entries(STRICTNESS_PROFILES).forEach(([id, profile]) => {
+  const option = document.createElement('option');
+  option.value = id;
+  option.textContent = profile.label;
+  strictnessSelect.appendChild(option);
+});
+strictnessSelect.value = DEFAULT_STRICTNESS;
+
+Object.entries(ISSUE_CATEGORIES).forEach(([id, label]) => {
+  const checkboxLabel = document.createElement('label');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.value = id;
+  checkbox.checked = true;
+  checkbox.addEventListener('change', () => {
+    saveBtn.disabled = false;
+  });
+  checkboxLabel.append(checkbox, label);
+  categoriesContainer.appendChild(checkboxLabel);
+});
+const categoryCheckboxes = categoriesContainer.querySelectorAll('input');
+
+// One checkbox per study language
+Object.keys(LANGUAGES).forEach(language => {
+  const checkboxLabel = document.createElement('label');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.value = language;
+  checkbox.checked = DEFAULT_TARGET_LANGUAGES.includes(language);
+  checkbox.addEventListener('change', () => {
+    saveBtn.disabled = false;
+  });
+  checkboxLabel.append(checkbox, language);
+  languagesContainer.appendChild(checkboxLabel);
+});
+const languageCheckboxes = languagesContainer.querySelectorAll('input');
+
+// Learner profile: level, native language, and the language explanations use
+const PROFILE_LANGUAGES = ['English', ...Object.keys(LANGUAGES)];
+
+Object.entries(CEFR_LEVELS).forEach(([id, level]) => {
+  cefrLevelSelect.add(new Option(level.label, id));
+});
+PROFILE_LANGUAGES.forEach(language => {
+  nativeLanguageSelect.add(new Option(language, language));
+});
+explanationLanguageSelect.add(new Option('My native language', EXPLAIN_IN_NATIVE));
+explanationLanguageSelect.add(new Option('The language I write in', EXPLAIN_IN_TARGET));
+PROFILE_LANGUAGES.forEach(language => {
+  explanationLanguageSelect.add(new Option(language, language));
+});
+
+getProficiencySettings().then((profile) => {
+  cefrLevelSelect.value = profile.cefrLevel;
+  nativeLanguageSelect.value = profile.nativeLanguage;
+  explanationLanguageSelect.value = profile.explanationLanguage;
+});
 
 // Load current settings
-chrome.storage.sync.get(['targetLanguage', 'apiKey', 'enabled'], (result) => {
-  if (result.targetLanguage) {
-    languageSelect.value = result.targetLanguage;
+chrome.storage.sync.get(['targetLanguage', 'targetLanguages', 'enabled', 'strictness', 'categories'], (result) => {
+  const targetLanguages = getTargetLanguages(result);
+  languageCheckboxes.forEach(checkbox => {
+    checkbox.checked = targetLanguages.includes(checkbox.value);
+  });
+  if (result.strictness && STRICTNESS_PROFILES[result.strictness]) {
+    strictnessSelect.value = result.strictness;
   }
-  if (result.apiKey) {
-    apiKeyInput.value = result.apiKey;
+  if (result.categories) {
+    categoryCheckboxes.forEach(checkbox => {
+      checkbox.checked = result.categories[checkbox.value] !== false;
+    });
   }
   if (result.enabled !== undefined) {
     enabledToggle.checked = result.enabled;
   }
 });
 
+// Provider, model and whatever stops it from working: a missing or locked key,
+// or the last request's error (invalid key, rate limit, quota...)
+async function renderProviderStatus() {
+  const { provider: id, providerModel } = await chrome.storage.sync.get(['provider', 'providerModel']);
+  const provider = PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER];
+  providerSummary.textContent = `${provider.label} · ${providerModel || provider.defaultModel}`;
+
+  const keyStatus = await getApiKeyStatus();
+  const { providerStatus: lastStatus } = await chrome.storage.local.get(['providerStatus']);
+
+  let problem = '';
+  if (provider.requiresApiKey && keyStatus === 'missing') {
+    problem = PROVIDER_ERRORS.missing_key;
+  } else if (provider.requiresApiKey && keyStatus === 'locked') {
+    problem = PROVIDER_ERRORS.locked;
+  } else if (lastStatus && lastStatus.kind !== 'ok') {
+    problem = lastStatus.message;
+  }
+
+  providerStatus.textContent = problem ? `⚠️ ${problem}` : '✓ Ready';
+  providerStatus.className = problem ? 'provider-status error' : 'provider-status';
+}
+
+renderProviderStatus();
+
+// Requests waiting in the service worker's queue (see queue.js), refreshed live
+function renderQueueState(queueState) {
+  if (!queueState || (queueState.running === 0 && queueState.queued === 0)) {
+    queueStatus.textContent = '';
+    return;
+  }
+
+  const parts = [`${queueState.running} running`];
+  if (queueState.queued > 0) {
+    parts.push(`${queueState.queued} waiting${queueState.tabs > 1 ? ` across ${queueState.tabs} tabs` : ''}`);
+  }
+  const pausedFor = Math.ceil((queueState.pausedUntil - Date.now()) / 1000);
+  if (pausedFor > 0) {
+    parts.push(`provider busy, retrying in ${pausedFor}s`);
+  } else if (queueState.retrying > 0) {
+    parts.push(`${queueState.retrying} retrying`);
+  }
+  queueStatus.textContent = `Queue: ${parts.join(' · ')}`;
+}
+
+let lastQueueState = null;
+chrome.storage.session.get(['queueState'], ({ queueState }) => {
+  lastQueueState = queueState;
+  renderQueueState(queueState);
+});
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'session' && changes.queueState) {
+    lastQueueState = changes.queueState.newValue;
+    renderQueueState(lastQueueState);
+  }
+  if (area === 'local' && changes.providerStatus) {
+    renderProviderStatus();
+  }
+});
+// Keeps the retry countdown moving between updates
+setInterval(() => renderQueueState(lastQueueState), 1000);
+
+document.getElementById('providerSettingsBtn').addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+// Usage dashboard: spend against the budget, then where the tokens went
+Object.entries(BUDGET_ACTIONS).forEach(([id, label]) => {
+  budgetActionSelect.add(new Option(label, id));
+});
+
+function formatTokens(count) {
+  return count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+}
+
+// "mail.example.com $0.40, docs.example.com $0.12" for the most expensive entries
+function formatTopUsage(groups) {
+  return Object.entries(groups)
+    .sort(([, a], [, b]) => b.cost - a.cost || b.requests - a.requests)
+    .slice(0, 3)
+    .map(([name, totals]) => `${name} ${formatCost(totals.cost)}`)
+    .join(', ');
+}
+
+async function renderUsage() {
+  const { state, spent, monthlyBudget, budgetAction } = await getBudgetStatus();
+  const usage = await getMonthUsage();
+  const { totals } = usage;
+  const today = usage.days[getUsagePeriod().day];
+
+  monthlyBudgetInput.value = monthlyBudget || '';
+  budgetActionSelect.value = budgetAction;
+
+  usageSpend.textContent = monthlyBudget
+    ? `${formatCost(spent)} of ${formatCost(monthlyBudget)}${state === 'exceeded' ? ' (budget used up)' : ''}`
+    : `${formatCost(spent)} spent, no budget set`;
+  budgetBar.hidden = !monthlyBudget;
+  budgetFill.style.width = `${Math.min(100, monthlyBudget ? (spent / monthlyBudget) * 100 : 0)}%`;
+  budgetFill.className = `budget-fill ${['warning', 'exceeded'].includes(state) ? state : ''}`;
+
+  const lines = [
+    `${totals.requests} requests · ${formatTokens(totals.inputTokens)} tokens in · ${formatTokens(totals.outputTokens)} out · today ${formatCost(today ? today.cost : 0)}`
+  ];
+  if (totals.requests > 0) {
+    lines.push(`Sites: ${formatTopUsage(usage.sites)}`, `Languages: ${formatTopUsage(usage.languages)}`);
+  }
+  if (totals.unpricedRequests > 0) {
+    lines.push(`${totals.unpricedRequests} requests used a model without a known price and aren't counted`);
+  }
+  usageDetails.innerHTML = '';
+  lines.forEach(line => {
+    const div = document.createElement('div');
+    div.textContent = line;
+    usageDetails.appendChild(div);
+  });
+}
+
+renderUsage();
+
 // Save settings
 saveBtn.addEventListener('click', () => {
   const settings = {
-    targetLanguage: languageSelect.value,
-    apiKey: apiKeyInput.value,
-    enabled: enabledToggle.checked
+    targetLanguages: Array.from(languageCheckboxes).filter(checkbox => checkbox.checked).map(checkbox => checkbox.value),
+    strictness: strictnessSelect.value,
+    categories: Object.fromEntries(Array.from(categoryCheckboxes).map(checkbox => [checkbox.value, checkbox.checked])),
+    cefrLevel: cefrLevelSelect.value,
+    nativeLanguage: nativeLanguageSelect.value,
+    explanationLanguage: explanationLanguageSelect.value,
+    enabled: enabledToggle.checked,
+    monthlyBudget: Number(monthlyBudgetInput.value) > 0 ? Number(monthlyBudgetInput.value) : 0,
+    budgetAction: budgetActionSelect.value
   };
 
-  if (!settings.apiKey) {
-    showStatus('Please enter an API key', 'error');
+  if (settings.targetLanguages.length === 0) {
+    showStatus('Please choose at least one language', 'error');
     return;
   }
 
   chrome.storage.sync.set(settings, () => {
+    renderUsage();
     showStatus('Settings saved successfully!', 'success');
     setTimeout(() => {
       hideStatus();
@@ -40,6 +249,45 @@ saveBtn.addEventListener('click', () => {
   });
 });
 
+// Open the flashcard review page, showing how many cards are waiting
+reviewBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('review.html') });
+});
+
+getJournalStats().then((stats) => {
+  if (stats.dueCount > 0) {
+    reviewBtn.textContent = `📚 Review mistakes (${stats.dueCount} due)`;
+  }
+}).catch(() => {});
+
+optionsBtn.addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+document.querySelectorAll('[data-export]').forEach(button => {
+  button.addEventListener('click', () => {
+    exportCorrections(button.getAttribute('data-export'))
+      .then((count) => showStatus(`Exported ${count} ${count === 1 ? 'item' : 'items'}`, 'success'))
+      .catch((error) => showStatus(`Export failed: ${error.message}`, 'error'));
+  });
+});
+
+// "Disable on this site" applies immediately, like the options page lists it edits
+chrome.tabs.query({ active: true, currentWindow: true }, async ([tab]) => {
+  if (!tab || !/^https?:/.test(tab.url || '')) return;
+
+  const hostname = new URL(tab.url).hostname;
+  const settings = await getSiteSettings();
+  siteToggleLabel.textContent = `On ${hostname.replace(/^www\./, '')}`;
+  siteEnabledToggle.checked = getSiteRule(settings, hostname).enabled;
+  siteToggleContainer.hidden = false;
+
+  siteEnabledToggle.addEventListener('change', () => {
+    setSiteEnabled(hostname, siteEnabledToggle.checked)
+      .catch((error) => showStatus(`Could not save: ${error.message}`, 'error'));
+  });
+});
+
 function showStatus(message, type) {
   statusMessage.textContent = message;
   statusMessage.className = `status-message ${type}`;
@@ -50,7 +298,7 @@ function hideStatus() {
 }
 
 // Enable save on input change
-[languageSelect, apiKeyInput, enabledToggle].forEach(element => {
+[strictnessSelect, cefrLevelSelect, nativeLanguageSelect, explanationLanguageSelect, enabledToggle, monthlyBudgetInput, budgetActionSelect].forEach(element => {
   element.addEventListener('change', () => {
     saveBtn.disabled = false;
   });
@@ -0,0 +1,207 @@
+// Privacy guard: sensitive data is swapped for placeholders before text leaves the
+// browser, and suggestion offsets are mapped back onto the original text afterwards.
+// Every request that is sent is written to a local audit log.
+
+const REDACTION_KEYS = ['redactPII', 'redactionTerms'];
+const AUDIT_LOG_LIMIT = 100;
+const AUDIT_TEXT_LIMIT = 1000;
+
+// Checked in order; a later pattern never claims text an earlier one matched
+const PII_PATTERNS = [
+  { type: 'EMAIL', pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu },
+  { type: 'IBAN', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g, validate: isValidIban },
+  { type: 'CARD', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, validate: passesLuhnCheck },
+  { type: 'PHONE', pattern: /(?<![\w+])(?:\+|00)?\(?\d{1,4}\)?(?:[ .-]?\(?\d{2,4}\)?){2,5}(?!\w)/g, validate: looksLikePhoneNumber },
+  // Names are only recognizable by their title; anything else goes in the custom terms
+  { type: 'NAME', pattern: /\b(?:Mr|Mrs|Ms|Mx|Dr|Herr|Frau|Sr|Sra|Srta|Mme|Mlle|Sig|Sig\.ra)\.? (?:\p{Lu}[\p{L}'-]+ ?){1,3}/gu }
+];
+
+function isValidIban(value) {
+  const iban = value.replace(/ /g, '');
+  if (iban.length < 15 || iban.length > 34) return false;
+
+  // Move the country code and check digits to the end, letters become 10..35, then mod 97
+  const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, letter => letter.charCodeAt(0) - 55);
+  let remainder = 0;
+  for (const digit of digits) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+function passesLuhnCheck(value) {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Enough digits for a phone number, and written like one: with an international or
+// area-code prefix ("+", "00", "("), split into three or more groups, or a leading
+// trunk 0 before a separator ("030 1234567"). An unbroken run of digits (an order
+// number), a date or a year range ("2024-2025") is left alone.
+function looksLikePhoneNumber(value) {
+  const number = value.trim();
+  const digitCount = number.replace(/\D/g, '').length;
+  if (digitCount < 8 || digitCount > 15) return false;
+  if (/^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}$/.test(number)) return false;
+  if (/^\d{4} ?[-–] ?\d{4}$/.test(number)) return false;
+
+  if (/^(?:\+|00|\()/.test(number)) return true;
+  const groups = number.split(/[ .()-]+/).filter(Boolean);
+  return groups.length >= 3 || (groups.length === 2 && number.startsWith('0'));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+async function getRedactionSettings() {
+  const { redactPII, redactionTerms } = await chrome.storage.sync.get(REDACTION_KEYS);
+  return { enabled: redactPII !== false, terms: redactionTerms || [] };
+}
+
+// Non-overlapping matches, in text order: custom terms first, then the patterns
+function findSensitiveRanges(text, terms = []) {
+  const ranges = [];
+  const overlaps = (start, end) => ranges.some(range => range.start < end && start < range.end);
+
+  const sources = [
+    ...terms.filter(term => term.trim()).map(term => ({
+      type: 'TERM',
+      pattern: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term.trim())}(?![\\p{L}\\p{N}])`, 'giu')
+    })),
+    ...PII_PATTERNS
+  ];
+
+  sources.forEach(({ type, pattern, validate }) => {
+    for (const match of text.matchAll(pattern)) {
+      const value = match[0].trimEnd();
+      const start = match.index;
+      const end = start + value.length;
+      if (!value || (validate && !validate(value)) || overlaps(start, end)) continue;
+      ranges.push({ type, start, end, value });
+    }
+  });
+
+  return ranges.sort((a, b) => a.start - b.start);
+}
+
+// Replace every sensitive range with a placeholder such as [EMAIL_1]; the same value
+// always gets the same placeholder, so the model can still see that it repeats.
+// Returns { text, replacements: [{ start, end, redactedStart, redactedEnd, placeholder, value }] }.
+function redactText(text, terms = []) {
+  const placeholders = new Map(); // value -> placeholder
+  const counts = {};
+  const replacements = [];
+  let redacted = '';
+  let cursor = 0;
+
+  findSensitiveRanges(text, terms).forEach(range => {
+    if (!placeholders.has(range.value)) {
+      counts[range.type] = (counts[range.type] || 0) + 1;
+      placeholders.set(range.value, `[${range.type}_${counts[range.type]}]`);
+    }
+    const placeholder = placeholders.get(range.value);
+
+    redacted += text.substring(cursor, range.start);
+    replacements.push({
+      start: range.start,
+      end: range.end,
+      redactedStart: redacted.length,
+      redactedEnd: redacted.length + placeholder.length,
+      placeholder,
+      value: range.value
+    });
+    redacted += placeholder;
+    cursor = range.end;
+  });
+
+  return { text: redacted + text.substring(cursor), replacements };
+}
+
+// Offset in the redacted text -> offset in the original, or null inside a placeholder
+function mapRedactedOffset(offset, redaction) {
+  let shift = 0;
+  for (const replacement of redaction.replacements) {
+    if (offset <= replacement.redactedStart) break;
+    if (offset < replacement.redactedEnd) return null;
+    shift = replacement.end - replacement.redactedEnd;
+  }
+  return offset + shift;
+}
+
+function restorePlaceholders(text, redaction) {
+  if (typeof text !== 'string') return text;
+  return redaction.replacements.reduce(
+    (restored, replacement) => restored.split(replacement.placeholder).join(replacement.value),
+    text
+  );
+}
+
+// Map a suggestion the model made on the redacted text (already position-verified
+// against it) back onto the original text. Suggestions cutting into a placeholder
+// can't be mapped and are dropped.
+function restoreSuggestion(suggestion, redaction) {
+  if (redaction.replacements.length === 0) return suggestion;
+
+  const start = mapRedactedOffset(suggestion.start, redaction);
+  const end = mapRedactedOffset(suggestion.end, redaction);
+  if (start === null || end === null) return null;
+
+  const restored = { ...suggestion, start, end };
+  ['problematicText', 'prefix', 'suffix', 'correction', 'message', 'explanation', 'rule', 'example'].forEach(field => {
+    restored[field] = restorePlaceholders(suggestion[field], redaction);
+  });
+  return restored;
+}
+
+function buildRedactionInstructions(redaction) {
+  if (redaction.replacements.length === 0) return '';
+  return 'Placeholders in square brackets such as [EMAIL_1] or [NAME_1] stand for removed private data. Never flag or change them, and copy them unchanged into any correction.';
+}
+
+// Entries are kept newest first; writes are chained so concurrent requests don't
+// overwrite each other's entries
+let auditWrite = Promise.resolve();
+
+function recordAuditEntry({ site, provider, model, language, text, replacements }) {
+  const redactions = {};
+  replacements.forEach(replacement => {
+    const type = replacement.placeholder.slice(1).split('_')[0];
+    redactions[type] = (redactions[type] || 0) + 1;
+  });
+
+  const entry = {
+    timestamp: Date.now(),
+    site: site || '',
+    provider,
+    model,
+    language,
+    characters: text.length,
+    redactions,
+    text: text.length > AUDIT_TEXT_LIMIT ? `${text.substring(0, AUDIT_TEXT_LIMIT)}…` : text
+  };
+
+  auditWrite = auditWrite
+    .then(() => chrome.storage.local.get(['auditLog']))
+    .then(({ auditLog = [] }) => chrome.storage.local.set({ auditLog: [entry, ...auditLog].slice(0, AUDIT_LOG_LIMIT) }))
+    .catch(error => console.error('[Lang Helper] Audit log write failed:', error.message));
+  return auditWrite;
+}
+
+async function getAuditLog() {
+  const { auditLog = [] } = await chrome.storage.local.get(['auditLog']);
+  return auditLog;
+}
+
+function clearAuditLog() {
+  return chrome.storage.local.remove('auditLog');
+}
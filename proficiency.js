@@ -0,0 +1,97 @@
+// Learner profile: CEFR level, native language and the language explanations are
+// written in. Shared by the popup (settings UI) and the service worker (prompt wording).
+
+const CEFR_LEVELS = {
+  A1: {
+    label: 'A1 · Beginner',
+    instruction: 'Use very simple words and short sentences. Name the grammar rule behind every mistake and give one short, correct example sentence.',
+    rule: true,
+    example: true
+  },
+  A2: {
+    label: 'A2 · Elementary',
+    instruction: 'Use simple words and short sentences. Name the grammar rule behind every mistake and give one short, correct example sentence.',
+    rule: true,
+    example: true
+  },
+  B1: {
+    label: 'B1 · Intermediate',
+    instruction: 'Use clear, everyday wording. Name the grammar rule behind each mistake and give a short example sentence when the rule is not obvious.',
+    rule: true,
+    example: true
+  },
+  B2: {
+    label: 'B2 · Upper intermediate',
+    instruction: 'Explain briefly and name the grammar rule when one applies.',
+    rule: true,
+    example: false
+  },
+  C1: {
+    label: 'C1 · Advanced',
+    instruction: 'Keep explanations short and precise, as between editors. Focus on nuance, register and idiom.',
+    rule: false,
+    example: false
+  },
+  C2: {
+    label: 'C2 · Near-native',
+    instruction: 'Keep explanations to one short sentence, as between editors. Focus on nuance, register and idiom.',
+    rule: false,
+    example: false
+  }
+};
+
+const DEFAULT_CEFR_LEVEL = 'B1';
+const DEFAULT_NATIVE_LANGUAGE = 'English';
+const PROFICIENCY_KEYS = ['cefrLevel', 'nativeLanguage', 'explanationLanguage'];
+
+// explanationLanguage is '' for "my native language", 'target' for "the language
+// I'm writing in", or a language name
+const EXPLAIN_IN_NATIVE = '';
+const EXPLAIN_IN_TARGET = 'target';
+
+async function getProficiencySettings() {
+  return normalizeProficiency(await chrome.storage.sync.get(PROFICIENCY_KEYS));
+}
+
+function normalizeProficiency({ cefrLevel, nativeLanguage, explanationLanguage } = {}) {
+  return {
+    cefrLevel: CEFR_LEVELS[cefrLevel] ? cefrLevel : DEFAULT_CEFR_LEVEL,
+    nativeLanguage: nativeLanguage || DEFAULT_NATIVE_LANGUAGE,
+    explanationLanguage: explanationLanguage || EXPLAIN_IN_NATIVE
+  };
+}
+
+// The language "message" and "explanation" should be written in for text in `language`
+function getExplanationLanguage(profile, language) {
+  if (profile.explanationLanguage === EXPLAIN_IN_TARGET) return language;
+  return profile.explanationLanguage || profile.nativeLanguage;
+}
+
+function buildProficiencyInstructions(profile, language) {
+  const level = CEFR_LEVELS[profile.cefrLevel];
+  const explanationLanguage = getExplanationLanguage(profile, language);
+  const lines = [
+    `- The writer is learning ${language} at CEFR level ${profile.cefrLevel} and their native language is ${profile.nativeLanguage}.`,
+    `- Write "message" and "explanation" in ${explanationLanguage}. Keep "problematicText" and "correction" in ${language}.`,
+    `- ${level.instruction}`
+  ];
+  if (profile.nativeLanguage !== language) {
+    lines.push(`- When a mistake comes from ${profile.nativeLanguage} (a false friend, a literal translation, ${profile.nativeLanguage} word order), say so.`);
+  }
+  if (level.rule) {
+    lines.push(`- Put the name of the grammar rule in "rule", written in ${explanationLanguage} (for example the name of a tense or an agreement rule). Leave it empty for spelling slips.`);
+  }
+  if (level.example) {
+    lines.push(`- Put one short, correct example sentence in ${language} that uses the rule in "example".`);
+  }
+  return lines.join('\n');
+}
+
+// Extra response fields the level asks for, as lines of the JSON format
+function getProficiencyFields(profile) {
+  const level = CEFR_LEVELS[profile.cefrLevel];
+  return [
+    level.rule ? '"rule": "<grammar rule name, or empty>"' : null,
+    level.example ? '"example": "<short example sentence>"' : null
+  ].filter(Boolean);
+}
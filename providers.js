@@ -0,0 +1,421 @@
+// LLM provider adapters: each backend knows how to build its request and how to
+// pull the reply text out of the response (whole or streamed). Analysis code only
+// sees plain text plus token usage; with a response schema (see schema.js) that text
+// is the JSON the provider produced, whether it came from a tool call or not.
+// Failures are thrown as errors with a `kind` (see PROVIDER_ERRORS) so every surface
+// can explain them the same way.
+
+const PROVIDERS = {
+  anthropic: {
+    label: 'Anthropic',
+    defaultBaseUrl: 'https://api.anthropic.com',
+    defaultModel: 'claude-3-5-sonnet-20241022',
+    requiresApiKey: true,
+    keyPlaceholder: 'sk-ant-...',
+    streamFormat: 'sse',
+    // A schema becomes the only tool the model may call, so the reply is its input
+    buildRequest(prompt, config, stream = false, schema = null) {
+      return {
+        url: `${config.baseUrl}/v1/messages`,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': config.apiKey,
+          'anthropic-version': '2023-06-01',
+          'anthropic-dangerous-direct-browser-access': 'true'
+        },
+        body: {
+          model: config.model,
+          max_tokens: 2048,
+          stream,
+          ...(schema ? {
+            tools: [{ name: schema.name, description: schema.description, input_schema: schema.schema }],
+            tool_choice: { type: 'tool', name: schema.name }
+          } : {}),
+          messages: [{ role: 'user', content: prompt }]
+        }
+      };
+    },
+    buildModelsRequest(config) {
+      return {
+        url: `${config.baseUrl}/v1/models?limit=100`,
+        headers: {
+          'x-api-key': config.apiKey,
+          'anthropic-version': '2023-06-01',
+          'anthropic-dangerous-direct-browser-access': 'true'
+        }
+      };
+    },
+    extractModels(data) {
+      return data.data.map(model => model.id);
+    },
+    extractText(data) {
+      const toolUse = data.content.find(block => block.type === 'tool_use');
+      if (toolUse) return JSON.stringify(toolUse.input);
+      const text = data.content.find(block => block.type === 'text');
+      return text ? text.text : '';
+    },
+    extractUsage(data) {
+      return { inputTokens: data.usage?.input_tokens || 0, outputTokens: data.usage?.output_tokens || 0 };
+    },
+    // Input tokens arrive with message_start, the running output count with message_delta
+    extractStreamUsage(event) {
+      if (event.type === 'message_start' && event.message?.usage) {
+        return { inputTokens: event.message.usage.input_tokens || 0 };
+      }
+      if (event.type === 'message_delta' && event.usage) {
+        return { outputTokens: event.usage.output_tokens || 0 };
+      }
+      return null;
+    },
+    extractStreamText(event) {
+      if (event.type === 'error') {
+        const kind = { overloaded_error: 'overloaded', rate_limit_error: 'rate_limit', authentication_error: 'invalid_key' }[event.error?.type];
+        throw createProviderError(kind || 'unknown', event.error?.message || 'stream failed');
+      }
+      if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        return event.delta.text;
+      }
+      // A tool call streams its input as pieces of JSON
+      if (event.type === 'content_block_delta' && event.delta.type === 'input_json_delta') {
+        return event.delta.partial_json;
+      }
+      return '';
+    },
+    extractError(data) {
+      return data?.error?.message;
+    }
+  },
+
+  openai: {
+    label: 'OpenAI-compatible',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-4o-mini',
+    requiresApiKey: true,
+    keyPlaceholder: 'sk-...',
+    streamFormat: 'sse',
+    buildRequest(prompt, config, stream = false, schema = null) {
+      return {
+        url: `${config.baseUrl}/chat/completions`,
+        headers: buildBearerHeaders(config.apiKey),
+        body: {
+          model: config.model,
+          max_tokens: 2048,
+          stream,
+          // Streams only report usage (in a final chunk) when asked to
+          ...(stream ? { stream_options: { include_usage: true } } : {}),
+          ...(schema ? {
+            response_format: {
+              type: 'json_schema',
+              json_schema: { name: schema.name, description: schema.description, strict: true, schema: schema.schema }
+            }
+          } : {}),
+          messages: [{ role: 'user', content: prompt }]
+        }
+      };
+    },
+    buildModelsRequest(config) {
+      return {
+        url: `${config.baseUrl}/models`,
+        headers: buildBearerHeaders(config.apiKey)
+      };
+    },
+    extractModels(data) {
+      return data.data.map(model => model.id);
+    },
+    extractText(data) {
+      return data.choices[0].message.content;
+    },
+    extractUsage(data) {
+      return { inputTokens: data.usage?.prompt_tokens || 0, outputTokens: data.usage?.completion_tokens || 0 };
+    },
+    extractStreamUsage(event) {
+      return event.usage ? PROVIDERS.openai.extractUsage(event) : null;
+    },
+    extractStreamText(event) {
+      if (event.error) {
+        throw createProviderError(classifyProviderError(0, event.error.message), event.error.message || 'stream failed');
+      }
+      return event.choices?.[0]?.delta?.content || '';
+    },
+    extractError(data) {
+      return data?.error?.message;
+    }
+  },
+
+  ollama: {
+    label: 'Ollama',
+    defaultBaseUrl: 'http://localhost:11434',
+    defaultModel: 'llama3.1',
+    requiresApiKey: false,
+    keyPlaceholder: 'Not needed',
+    streamFormat: 'ndjson',
+    buildRequest(prompt, config, stream = false, schema = null) {
+      return {
+        url: `${config.baseUrl}/api/chat`,
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+          model: config.model,
+          stream,
+          ...(schema ? { format: schema.schema } : {}),
+          messages: [{ role: 'user', content: prompt }]
+        }
+      };
+    },
+    buildModelsRequest(config) {
+      return {
+        url: `${config.baseUrl}/api/tags`,
+        headers: {}
+      };
+    },
+    extractModels(data) {
+      return data.models.map(model => model.name);
+    },
+    extractText(data) {
+      return data.message.content;
+    },
+    extractUsage(data) {
+      return { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 };
+    },
+    // The final ("done") line carries the counts
+    extractStreamUsage(event) {
+      return event.done ? PROVIDERS.ollama.extractUsage(event) : null;
+    },
+    extractStreamText(event) {
+      if (event.error) {
+        throw createProviderError(classifyProviderError(0, event.error), event.error);
+      }
+      return event.message?.content || '';
+    },
+    extractError(data) {
+      return data?.error;
+    }
+  },
+
+  // llama.cpp's server (and most other local runners) speak the OpenAI chat
+  // format, so the local stand-in reuses that adapter with local defaults
+  local: {
+    label: 'Local server (llama.cpp)',
+    defaultBaseUrl: 'http://localhost:8080/v1',
+    defaultModel: 'local-model',
+    requiresApiKey: false,
+    keyPlaceholder: 'Optional',
+    streamFormat: 'sse',
+    buildRequest(prompt, config, stream = false, schema = null) {
+      return PROVIDERS.openai.buildRequest(prompt, config, stream, schema);
+    },
+    buildModelsRequest(config) {
+      return PROVIDERS.openai.buildModelsRequest(config);
+    },
+    extractModels(data) {
+      return PROVIDERS.openai.extractModels(data);
+    },
+    extractText(data) {
+      return PROVIDERS.openai.extractText(data);
+    },
+    extractUsage(data) {
+      return PROVIDERS.openai.extractUsage(data);
+    },
+    extractStreamUsage(event) {
+      return PROVIDERS.openai.extractStreamUsage(event);
+    },
+    extractStreamText(event) {
+      return PROVIDERS.openai.extractStreamText(event);
+    },
+    extractError(data) {
+      return PROVIDERS.openai.extractError(data);
+    }
+  }
+};
+
+const DEFAULT_PROVIDER = 'anthropic';
+
+// What went wrong, in words a user can act on
+const PROVIDER_ERRORS = {
+  missing_key: 'No API key is set. Add one on the options page.',
+  locked: 'The API key is locked. Unlock it with your passphrase on the options page.',
+  invalid_key: 'The provider rejected the API key. Check it on the options page.',
+  rate_limit: 'The provider is rate limiting requests. Checking resumes shortly.',
+  quota: 'Your provider account is out of credit or over its quota.',
+  overloaded: 'The provider is overloaded right now. Checking resumes shortly.',
+  model: 'The selected model is not available from this provider.',
+  network: 'Could not reach the provider. Check the endpoint URL and your connection.',
+  server: 'The provider had an internal error.',
+  budget: 'This month\'s budget is used up, so LLM checking is paused until next month. Offline rules still run.',
+  throttled: 'This month\'s budget is used up, so LLM checks are limited to one a minute.',
+  invalid_response: 'The model\'s reply was not in the expected format.',
+  unknown: 'The request to the provider failed.'
+};
+
+function createProviderError(kind, detail = '') {
+  const error = new Error(detail ? `${PROVIDER_ERRORS[kind]} (${detail})` : PROVIDER_ERRORS[kind]);
+  error.kind = kind;
+  return error;
+}
+
+// Providers report the same problems with different status codes and wording
+function classifyProviderError(status, detail = '') {
+  if (/quota|credit balance|billing|insufficient_quota/i.test(detail) || status === 402) return 'quota';
+  if (status === 401 || status === 403 || /api key|unauthori[sz]ed|authentication/i.test(detail)) return 'invalid_key';
+  if (status === 429 || /rate limit/i.test(detail)) return 'rate_limit';
+  if (status === 529 || status === 503 || /overloaded/i.test(detail)) return 'overloaded';
+  if (status === 404 || /model.*(not found|does not exist)/i.test(detail)) return 'model';
+  if (status >= 500) return 'server';
+  return 'unknown';
+}
+
+function buildBearerHeaders(apiKey) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+  return headers;
+}
+
+// Resolve the stored provider settings into everything needed for a request
+async function getProviderConfig() {
+  const storage = await chrome.storage.sync.get(['provider', 'providerBaseUrl', 'providerModel']);
+  const id = PROVIDERS[storage.provider] ? storage.provider : DEFAULT_PROVIDER;
+  const provider = PROVIDERS[id];
+
+  // Keyless providers still work while an (optional) encrypted key is locked
+  let apiKey = '';
+  try {
+    apiKey = await getApiKey();
+  } catch (error) {
+    if (provider.requiresApiKey) throw error;
+  }
+
+  return {
+    id,
+    provider,
+    apiKey,
+    baseUrl: (storage.providerBaseUrl || provider.defaultBaseUrl).replace(/\/+$/, ''),
+    model: storage.providerModel || provider.defaultModel
+  };
+}
+
+// How long the provider asked us to wait, in ms (0 if it didn't say). retry-after is
+// seconds or an HTTP date; some OpenAI-compatible servers add retry-after-ms.
+function getRetryAfter(headers) {
+  const milliseconds = Number(headers.get('retry-after-ms'));
+  if (milliseconds > 0) return milliseconds;
+
+  const value = headers.get('retry-after');
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+// fetch with every failure turned into a classified provider error
+async function fetchFromProvider(config, url, init) {
+  let response;
+  try {
+    response = await fetch(url, init);
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw createProviderError('network', error.message);
+  }
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => null);
+    const detail = config.provider.extractError(errorData) || response.statusText || `HTTP ${response.status}`;
+    const error = createProviderError(classifyProviderError(response.status, detail), detail);
+    error.retryAfter = getRetryAfter(response.headers);
+    throw error;
+  }
+
+  return response;
+}
+
+async function sendProviderRequest(config, prompt, stream, signal, schema) {
+  if (config.provider.requiresApiKey && !config.apiKey) {
+    throw createProviderError('missing_key');
+  }
+
+  const request = config.provider.buildRequest(prompt, config, stream, schema);
+  return fetchFromProvider(config, request.url, {
+    method: 'POST',
+    headers: request.headers,
+    body: JSON.stringify(request.body),
+    signal
+  });
+}
+
+// Model names the endpoint offers, sorted
+async function listProviderModels(config) {
+  if (config.provider.requiresApiKey && !config.apiKey) {
+    throw createProviderError('missing_key');
+  }
+
+  const request = config.provider.buildModelsRequest(config);
+  const response = await fetchFromProvider(config, request.url, { headers: request.headers });
+  return config.provider.extractModels(await response.json()).sort();
+}
+
+// Check the key, endpoint and model with the smallest possible request. Endpoints
+// without a model list (some local servers) still pass if the model answers.
+async function testProviderConnection(config) {
+  let models = [];
+  try {
+    models = await listProviderModels(config);
+  } catch (error) {
+    if (!['model', 'unknown'].includes(error.kind)) throw error;
+  }
+
+  const startedAt = Date.now();
+  const { usage } = await callProvider(config, 'Reply with the single word OK.');
+  return { models, latency: Date.now() - startedAt, usage };
+}
+
+// Send a prompt to the configured provider; resolves to the raw reply text and
+// the tokens it used: { text, usage: { inputTokens, outputTokens } }. With a schema
+// the reply is asked to be JSON matching it.
+async function callProvider(config, prompt, signal, schema = null) {
+  const response = await sendProviderRequest(config, prompt, false, signal, schema);
+  const data = await response.json();
+  return { text: config.provider.extractText(data), usage: config.provider.extractUsage(data) };
+}
+
+// Stream a reply, calling onText with each new piece; resolves like callProvider
+async function streamProvider(config, prompt, onText, signal, schema = null) {
+  const response = await sendProviderRequest(config, prompt, true, signal, schema);
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let fullText = '';
+  const usage = { inputTokens: 0, outputTokens: 0 };
+
+  const handleLine = (line) => {
+    let payload = line.trim();
+    if (config.provider.streamFormat === 'sse') {
+      if (!payload.startsWith('data:')) return;
+      payload = payload.slice(5).trim();
+      if (payload === '[DONE]') return;
+    }
+    if (!payload) return;
+
+    const event = JSON.parse(payload);
+    Object.assign(usage, config.provider.extractStreamUsage(event));
+
+    const piece = config.provider.extractStreamText(event);
+    if (piece) {
+      fullText += piece;
+      onText(piece);
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  handleLine(buffer + decoder.decode());
+
+  return { text: fullText, usage };
+}
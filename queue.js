@@ -0,0 +1,218 @@
+// Request queue for the service worker: every LLM request waits here. Tabs take turns
+// so one busy page can't starve the others, starts are limited to the configured
+// requests per minute, and rate-limit or overload errors are retried with
+// exponential backoff (honoring the provider's retry-after). A newer request for the
+// same field cancels the older one. The state is mirrored to chrome.storage.session
+// for the popup.
+
+const DEFAULT_REQUESTS_PER_MINUTE = 20;
+const MAX_CONCURRENT_REQUESTS = 2;
+const MAX_REQUEST_RETRIES = 3;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 60 * 1000;
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Errors worth waiting out; the rest (bad key, quota...) fail the same way on retry
+const RETRYABLE_ERRORS = ['rate_limit', 'overloaded', 'server', 'network'];
+
+let queuedJobs = new Map(); // tabId -> jobs waiting, oldest first
+let tabTurns = []; // Tab ids in the order they get their next turn
+let runningJobs = new Set();
+let recentStarts = []; // Start times within the last RATE_WINDOW_MS
+let pausedUntil = 0; // The provider asked everyone to back off until then
+let pumpTimer = null;
+let nextJobId = 1;
+
+async function getRequestsPerMinute() {
+  const { requestsPerMinute } = await chrome.storage.sync.get(['requestsPerMinute']);
+  return Number(requestsPerMinute) > 0 ? Number(requestsPerMinute) : DEFAULT_REQUESTS_PER_MINUTE;
+}
+
+// Queue run(signal, job) and resolve with its result. Jobs with the same key (one
+// per field) replace each other: the older one is aborted, queued or running.
+// Aborting `signal` (the page closed its port) cancels the job too.
+function enqueueRequest({ tabId = -1, key = null, signal = null, run }) {
+  if (key !== null) {
+    cancelRequestsForKey(key);
+  }
+
+  return new Promise((resolve, reject) => {
+    const job = {
+      id: nextJobId++,
+      tabId,
+      key,
+      run,
+      resolve,
+      reject,
+      controller: new AbortController(),
+      attempts: 0,
+      notBefore: 0,
+      hasOutput: false // Set once a streamed result reached the page; such jobs aren't retried
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        reject(new DOMException('Request cancelled', 'AbortError'));
+        return;
+      }
+      signal.addEventListener('abort', () => cancelRequest(job), { once: true });
+    }
+
+    if (!queuedJobs.has(tabId)) {
+      queuedJobs.set(tabId, []);
+      tabTurns.push(tabId);
+    }
+    queuedJobs.get(tabId).push(job);
+
+    publishQueueState();
+    pumpQueue();
+  });
+}
+
+// Abort a job, dropping it from the queue if it hasn't started
+function cancelRequest(job) {
+  job.controller.abort();
+
+  const tabJobs = queuedJobs.get(job.tabId);
+  if (tabJobs && tabJobs.includes(job)) {
+    removeQueuedJob(job);
+    job.reject(new DOMException('Request cancelled', 'AbortError'));
+    publishQueueState();
+  }
+}
+
+function cancelRequestsForKey(key) {
+  const jobs = [...runningJobs, ...[...queuedJobs.values()].flat()];
+  jobs.filter(job => job.key === key).forEach(cancelRequest);
+}
+
+function removeQueuedJob(job) {
+  const tabJobs = queuedJobs.get(job.tabId);
+  tabJobs.splice(tabJobs.indexOf(job), 1);
+  if (tabJobs.length === 0) {
+    queuedJobs.delete(job.tabId);
+    tabTurns = tabTurns.filter(tabId => tabId !== job.tabId);
+  }
+}
+
+// The next ready job, taking tabs in turn; the served tab moves to the back
+function takeNextJob(now) {
+  for (const tabId of tabTurns) {
+    const job = queuedJobs.get(tabId).find(candidate => candidate.notBefore <= now);
+    if (job) {
+      removeQueuedJob(job);
+      tabTurns = tabTurns.filter(other => other !== tabId);
+      if (queuedJobs.has(tabId)) tabTurns.push(tabId);
+      return job;
+    }
+  }
+  return null;
+}
+
+// Start as many jobs as concurrency, the rate limit and backoff allow, then
+// wake up again when the next one could start
+async function pumpQueue() {
+  clearTimeout(pumpTimer);
+  pumpTimer = null;
+
+  const requestsPerMinute = await getRequestsPerMinute();
+
+  while (runningJobs.size < MAX_CONCURRENT_REQUESTS) {
+    const now = Date.now();
+    recentStarts = recentStarts.filter(start => now - start < RATE_WINDOW_MS);
+
+    if (now < pausedUntil) {
+      schedulePump(pausedUntil - now);
+      break;
+    }
+    if (recentStarts.length >= requestsPerMinute) {
+      schedulePump(recentStarts[0] + RATE_WINDOW_MS - now);
+      break;
+    }
+
+    const job = takeNextJob(now);
+    if (!job) {
+      const waiting = [...queuedJobs.values()].flat();
+      if (waiting.length > 0) {
+        schedulePump(Math.min(...waiting.map(candidate => candidate.notBefore)) - now);
+      }
+      break;
+    }
+
+    recentStarts.push(now);
+    startJob(job);
+  }
+
+  publishQueueState();
+}
+
+function schedulePump(delay) {
+  clearTimeout(pumpTimer);
+  pumpTimer = setTimeout(pumpQueue, Math.max(0, delay));
+}
+
+function startJob(job) {
+  job.attempts++;
+  runningJobs.add(job);
+
+  job.run(job.controller.signal, job)
+    .then(job.resolve, (error) => {
+      if (shouldRetry(job, error)) {
+        scheduleRetry(job, error);
+      } else {
+        job.reject(error);
+      }
+    })
+    .finally(() => {
+      runningJobs.delete(job);
+      pumpQueue();
+    });
+}
+
+function shouldRetry(job, error) {
+  return RETRYABLE_ERRORS.includes(error.kind) &&
+    job.attempts <= MAX_REQUEST_RETRIES &&
+    !job.hasOutput &&
+    !job.controller.signal.aborted;
+}
+
+// retry-after wins; otherwise 1s, 2s, 4s... with jitter so tabs don't retry in lockstep
+function getBackoffDelay(job, error) {
+  if (error.retryAfter > 0) {
+    return Math.min(error.retryAfter, BACKOFF_MAX_MS);
+  }
+  const delay = BACKOFF_BASE_MS * 2 ** (job.attempts - 1);
+  return Math.min(delay + Math.random() * delay * 0.25, BACKOFF_MAX_MS);
+}
+
+function scheduleRetry(job, error) {
+  const delay = getBackoffDelay(job, error);
+  console.warn(`[Lang Helper BG] ${error.kind} error, retrying in ${Math.round(delay / 1000)}s (attempt ${job.attempts + 1})`);
+
+  job.notBefore = Date.now() + delay;
+  // Rate limits and overload apply to every request, not just this one
+  if (['rate_limit', 'overloaded'].includes(error.kind)) {
+    pausedUntil = Math.max(pausedUntil, job.notBefore);
+  }
+
+  if (!queuedJobs.has(job.tabId)) {
+    queuedJobs.set(job.tabId, []);
+    tabTurns.unshift(job.tabId);
+  }
+  queuedJobs.get(job.tabId).unshift(job);
+}
+
+function publishQueueState() {
+  const waiting = [...queuedJobs.values()].flat();
+  chrome.storage.session.set({
+    queueState: {
+      running: runningJobs.size,
+      queued: waiting.length,
+      retrying: waiting.filter(job => job.attempts > 0).length,
+      tabs: new Set([...waiting, ...runningJobs].map(job => job.tabId)).size,
+      pausedUntil: pausedUntil > Date.now() ? pausedUntil : 0,
+      startedLastMinute: recentStarts.filter(start => Date.now() - start < RATE_WINDOW_MS).length,
+      updatedAt: Date.now()
+    }
+  }).catch(() => {});
+}
@@ -0,0 +1,66 @@
+// Review page script: Walks through due flashcards from the mistake journal
+
+const statsElement = document.getElementById('stats');
+const cardElement = document.getElementById('card');
+const emptyElement = document.getElementById('empty');
+const cardMeta = document.getElementById('cardMeta');
+const cardFront = document.getElementById('cardFront');
+const cardBack = document.getElementById('cardBack');
+const cardCorrection = document.getElementById('cardCorrection');
+const cardExplanation = document.getElementById('cardExplanation');
+const showAnswerBtn = document.getElementById('showAnswerBtn');
+const gradeButtons = document.getElementById('gradeButtons');
+
+let dueCards = [];
+
+async function loadReview() {
+  const stats = await getJournalStats();
+  statsElement.textContent = `${stats.dueCount} due · ${stats.cardCount} cards · ${stats.entryCount} journal entries`;
+
+  dueCards = await getDueCards();
+  showNextCard();
+}
+
+function showNextCard() {
+  const card = dueCards[0];
+
+  if (!card) {
+    cardElement.style.display = 'none';
+    emptyElement.style.display = 'block';
+    return;
+  }
+
+  cardMeta.textContent = `${card.language} · seen ${card.occurrences} times`;
+  cardFront.textContent = card.problematicText;
+  cardCorrection.textContent = card.correction;
+  cardExplanation.textContent = card.explanation;
+
+  cardBack.classList.remove('visible');
+  gradeButtons.classList.remove('visible');
+  showAnswerBtn.style.display = 'block';
+}
+
+showAnswerBtn.addEventListener('click', () => {
+  cardBack.classList.add('visible');
+  gradeButtons.classList.add('visible');
+  showAnswerBtn.style.display = 'none';
+});
+
+gradeButtons.querySelectorAll('button').forEach(button => {
+  button.addEventListener('click', async () => {
+    const card = dueCards.shift();
+    if (!card) return;
+
+    const quality = parseInt(button.getAttribute('data-quality'));
+    const updated = await reviewCard(card.mistakeKey, quality);
+
+    // Failed cards come back in this session until they are recalled
+    if (updated && quality < 3) {
+      dueCards.push(updated);
+    }
+
+    showNextCard();
+  });
+});
+
+loadReview();
@@ -0,0 +1,161 @@
+// Whole-text rewrites: the modes offered in the context menu and the preview panel,
+// and the word-level diff between the original and the rewrite. Shared by the
+// service worker (prompt, diff) and the content script (mode names, applying).
+
+const REWRITE_MODES = {
+  formal: {
+    label: 'More formal',
+    instruction: 'Make it more formal: use the formal form of address (for example usted instead of tú, vous instead of tu, Sie instead of du) and formal vocabulary.'
+  },
+  informal: {
+    label: 'More casual',
+    instruction: 'Make it more casual and friendly: use the informal form of address (for example tú instead of usted, tu instead of vous, du instead of Sie) and everyday vocabulary.'
+  },
+  polite: {
+    label: 'More polite',
+    instruction: 'Make it more polite and courteous: soften requests and direct statements the way a considerate native speaker would.'
+  },
+  concise: {
+    label: 'More concise',
+    instruction: 'Make it more concise: remove redundancy and filler while keeping every piece of information.'
+  },
+  idiomatic: {
+    label: 'More natural',
+    instruction: 'Make it sound like a native speaker wrote it: replace literal translations and unnatural phrasing with idiomatic expressions.'
+  }
+};
+
+const DEFAULT_REWRITE_MODE = 'idiomatic';
+
+// Above this many token pairs the diff falls back to one replaced block, so a very
+// long text can't stall the worker
+const MAX_DIFF_CELLS = 4000000;
+
+// Words (with inner apostrophes and hyphens), runs of whitespace, and single symbols
+function tokenizeForDiff(text) {
+  return text.match(/[\p{L}\p{N}\p{M}]+(?:['’-][\p{L}\p{N}\p{M}]+)*|\s+|[^\s\p{L}\p{N}\p{M}]/gu) || [];
+}
+
+// [{type: 'equal' | 'delete' | 'insert', text}], with neighbours of the same type merged
+function diffWords(before, after) {
+  const a = tokenizeForDiff(before);
+  const b = tokenizeForDiff(after);
+
+  // The common start and end need no table, which keeps typical rewrites cheap
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const middleA = a.slice(prefix, a.length - suffix);
+  const middleB = b.slice(prefix, b.length - suffix);
+  const operations = [
+    ...a.slice(0, prefix).map(text => ({ type: 'equal', text })),
+    ...diffTokens(middleA, middleB),
+    ...a.slice(a.length - suffix).map(text => ({ type: 'equal', text }))
+  ];
+  return mergeDiffOperations(operations);
+}
+
+// Longest common subsequence over tokens
+function diffTokens(a, b) {
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map(text => ({ type: 'delete', text })),
+      ...b.map(text => ({ type: 'insert', text }))
+    ];
+  }
+
+  // lengths[i][j]: LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      operations.push({ type: 'equal', text: a[i++] });
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      operations.push({ type: 'delete', text: a[i++] });
+    } else {
+      operations.push({ type: 'insert', text: b[j++] });
+    }
+  }
+  while (i < a.length) operations.push({ type: 'delete', text: a[i++] });
+  while (j < b.length) operations.push({ type: 'insert', text: b[j++] });
+  return operations;
+}
+
+// A lone space kept between two changed words reads as noise ("~~a~~ ++b++ ~~c~~"),
+// so it joins the change on both sides before neighbours are merged
+function mergeDiffOperations(operations) {
+  const absorbed = [];
+  operations.forEach((operation, index) => {
+    const previous = operations[index - 1];
+    const next = operations[index + 1];
+    if (operation.type === 'equal' && /^\s+$/.test(operation.text) &&
+      previous && next && previous.type !== 'equal' && next.type !== 'equal') {
+      absorbed.push({ type: 'delete', text: operation.text }, { type: 'insert', text: operation.text });
+    } else {
+      absorbed.push(operation);
+    }
+  });
+
+  // Deletions first, then insertions, within every run of changes
+  const merged = [];
+  let deleted = '';
+  let inserted = '';
+  const flush = () => {
+    if (deleted) merged.push({ type: 'delete', text: deleted });
+    if (inserted) merged.push({ type: 'insert', text: inserted });
+    deleted = '';
+    inserted = '';
+  };
+
+  absorbed.forEach((operation) => {
+    if (operation.type === 'delete') {
+      deleted += operation.text;
+    } else if (operation.type === 'insert') {
+      inserted += operation.text;
+    } else {
+      flush();
+      const last = merged[merged.length - 1];
+      if (last && last.type === 'equal') {
+        last.text += operation.text;
+      } else {
+        merged.push({ ...operation });
+      }
+    }
+  });
+  flush();
+  return merged;
+}
+
+// The smallest span of the original that has to change to get the rewrite, so
+// applying it leaves the untouched start and end (and their formatting) alone
+function getRewriteChange(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let end = 0;
+  while (end < before.length - start && end < after.length - start &&
+    before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+
+  // Don't split a surrogate pair at either edge
+  if (start > 0 && /[\uD800-\uDBFF]/.test(before[start - 1])) start--;
+  if (end > 0 && /[\uDC00-\uDFFF]/.test(before[before.length - end])) end--;
+
+  return {
+    start,
+    end: before.length - end,
+    replacement: after.substring(start, after.length - end)
+  };
+}
@@ -0,0 +1,295 @@
+// Offline grammar rules: fast local checks that run without any provider.
+// Each rule returns suggestions in the same shape the LLM analysis produces.
+
+// Letters in any script, so word boundaries work for accented text too
+const WORD_BEFORE = '(?<![\\p{L}\\p{M}])';
+const WORD_AFTER = '(?![\\p{L}\\p{M}])';
+
+// Build a rule that flags whole words from a wrong -> right lookup table
+function wordListRule(id, words, details, flags = 'giu') {
+  const lookup = {};
+  Object.entries(words).forEach(([wrong, right]) => {
+    lookup[wrong.toLowerCase()] = right;
+  });
+
+  const alternatives = Object.keys(lookup)
+    .sort((a, b) => b.length - a.length)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|');
+
+  return {
+    id,
+    pattern: new RegExp(`${WORD_BEFORE}(?:${alternatives})${WORD_AFTER}`, flags),
+    ...details,
+    correction: (match) => matchCase(match[0], lookup[match[0].toLowerCase()])
+  };
+}
+
+// Keep the capitalization of the original word in the correction
+function matchCase(original, correction) {
+  if (original === original.toUpperCase() && original.length > 1) {
+    return correction.toUpperCase();
+  }
+  if (original[0] === original[0].toUpperCase()) {
+    return correction[0].toUpperCase() + correction.slice(1);
+  }
+  return correction;
+}
+
+const DOUBLE_SPACE_RULE = {
+  id: 'double-space',
+  pattern: /(?<=\S) {2,}(?=\S)/g,
+  severity: 'warning',
+  category: 'punctuation',
+  message: 'Double space',
+  explanation: 'Only one space is needed between words.',
+  correction: () => ' '
+};
+
+// Words that are correctly doubled in some languages: French reflexive pronouns
+// ("Nous nous levons", "Vous vous trompez") and German articles followed by the
+// matching relative pronoun ("die Frau, die die Zeitung liest")
+const REPEATED_WORD_EXCEPTIONS = {
+  French: ['nous', 'vous'],
+  German: ['der', 'die', 'das', 'den', 'dem', 'des']
+};
+
+// A rule whose correction is the text itself is skipped, see checkTextOffline()
+function repeatedWordRule(exceptions = []) {
+  return {
+    id: 'repeated-word',
+    pattern: new RegExp(`${WORD_BEFORE}([\\p{L}\\p{M}]+)\\s+\\1${WORD_AFTER}`, 'giu'),
+    severity: 'error',
+    category: 'grammar',
+    message: 'Repeated word',
+    explanation: 'The same word appears twice in a row.',
+    correction: (match) => exceptions.includes(match[1].toLowerCase()) ? match[0] : match[1]
+  };
+}
+
+const REPEATED_WORD_RULE = repeatedWordRule();
+
+// The punctuation is part of the match, so the correction is never empty
+const SPACE_BEFORE_PUNCTUATION_RULE = {
+  id: 'space-before-punctuation',
+  pattern: /(?<=\S) +[,.;:!?](?=\s|$)/g,
+  severity: 'warning',
+  category: 'punctuation',
+  message: 'Space before punctuation',
+  explanation: 'Punctuation marks follow the previous word directly, without a space.',
+  correction: (match) => match[0].trimStart()
+};
+
+const MISSING_SPACE_AFTER_COMMA_RULE = {
+  id: 'missing-space-after-comma',
+  pattern: /(?<=\p{L}),(?=\p{L})/gu,
+  severity: 'warning',
+  category: 'punctuation',
+  message: 'Missing space after comma',
+  explanation: 'A comma is followed by a space before the next word.',
+  correction: () => ', '
+};
+
+const COMMON_RULES = [
+  DOUBLE_SPACE_RULE,
+  REPEATED_WORD_RULE,
+  SPACE_BEFORE_PUNCTUATION_RULE,
+  MISSING_SPACE_AFTER_COMMA_RULE
+];
+
+const SPANISH_RULES = [
+  // Only words that are wrong without the accent wherever they appear. Ones that are
+  // also verb forms or other words (publico "I publish", ultimo, pagina, musica, ano)
+  // need the context an offline rule doesn't have.
+  wordListRule('es-missing-accent', {
+    tambien: 'también', despues: 'después', ademas: 'además', todavia: 'todavía',
+    aqui: 'aquí', ahi: 'ahí', alli: 'allí', asi: 'así', facil: 'fácil', dificil: 'difícil',
+    rapido: 'rápido', telefono: 'teléfono', metodo: 'método', arbol: 'árbol', lapiz: 'lápiz',
+    sabado: 'sábado', miercoles: 'miércoles', proximo: 'próximo',
+    numeros: 'números', dias: 'días', manana: 'mañana', espanol: 'español'
+  }, {
+    severity: 'error',
+    category: 'spelling',
+    message: 'Missing accent',
+    explanation: 'This word is written with an accent mark (or ñ) in Spanish.'
+  }),
+  {
+    id: 'es-cion-accent',
+    pattern: new RegExp(`${WORD_BEFORE}[\\p{L}]+cion${WORD_AFTER}`, 'giu'),
+    severity: 'error',
+    category: 'spelling',
+    message: 'Missing accent',
+    explanation: 'Singular nouns ending in -ción carry an accent on the ó.',
+    correction: (match) => match[0].replace(/cion$/i, (ending) => matchCase(ending, 'ción'))
+  },
+  // Flag the first word of a sentence that ends in ? or ! but never opened it. Only
+  // single-clause sentences: in "Hola, ¿cómo estás?" the question starts after the
+  // comma, which can't be told apart from "Si vienes, ¿me avisas?" reliably.
+  {
+    id: 'es-inverted-question',
+    pattern: /(?<=^|[.!?\n]\s*)[\p{L}\p{N}]+(?=[^¿.!?\n,;:]*\?)/gu,
+    severity: 'warning',
+    category: 'punctuation',
+    message: 'Missing opening question mark',
+    explanation: 'Spanish questions open with ¿ as well as closing with ?.',
+    correction: (match) => '¿' + match[0]
+  },
+  {
+    id: 'es-inverted-exclamation',
+    pattern: /(?<=^|[.!?\n]\s*)[\p{L}\p{N}]+(?=[^¡.!?\n,;:]*!)/gu,
+    severity: 'warning',
+    category: 'punctuation',
+    message: 'Missing opening exclamation mark',
+    explanation: 'Spanish exclamations open with ¡ as well as closing with !.',
+    correction: (match) => '¡' + match[0]
+  }
+];
+
+const FRENCH_RULES = [
+  wordListRule('fr-missing-accent', {
+    deja: 'déjà', tres: 'très', apres: 'après', etre: 'être', meme: 'même',
+    probleme: 'problème', ecole: 'école', bientot: 'bientôt', voila: 'voilà',
+    francais: 'français', francaise: 'française', garcon: 'garçon', lecon: 'leçon',
+    fenetre: 'fenêtre', foret: 'forêt', hopital: 'hôpital', theatre: 'théâtre',
+    eleve: 'élève', deuxieme: 'deuxième', premiere: 'première', derniere: 'dernière',
+    'peut-etre': 'peut-être', 'a cote': 'à côté', 'au-dela': 'au-delà'
+  }, {
+    severity: 'error',
+    category: 'spelling',
+    message: 'Missing accent',
+    explanation: 'This word is written with an accent mark (or cédille) in French.'
+  }),
+  {
+    id: 'fr-space-before-double-punctuation',
+    pattern: /(?<=[\p{L}\p{N}])[;:!?](?=\s|$)/gu,
+    severity: 'style',
+    category: 'punctuation',
+    message: 'Missing space before punctuation',
+    explanation: 'French typography puts a (non-breaking) space before ; : ! and ?.',
+    correction: (match) => '\u00a0' + match[0]
+  }
+];
+
+const GERMAN_NOUNS = [
+  'haus', 'auto', 'zeit', 'jahr', 'mann', 'frau', 'kind', 'kinder', 'tag', 'woche', 'monat',
+  'stadt', 'land', 'arbeit', 'schule', 'freund', 'freundin', 'freunde', 'buch', 'wasser',
+  'problem', 'antwort', 'beispiel', 'hund', 'katze', 'welt', 'familie', 'geld',
+  'sprache', 'wohnung', 'straße', 'strasse', 'abend', 'nacht', 'urlaub', 'lehrer',
+  'lehrerin', 'zimmer', 'tür', 'fenster', 'tisch', 'stuhl', 'brief', 'name',
+  'mutter', 'vater', 'bruder', 'schwester', 'wetter', 'film', 'musik', 'idee'
+];
+
+// Case-sensitive, since a capitalized noun is already correct
+const GERMAN_RULES = [
+  wordListRule('de-noun-capitalization',
+    Object.fromEntries(GERMAN_NOUNS.map(noun => [noun, noun[0].toUpperCase() + noun.slice(1)])),
+    {
+      severity: 'error',
+      category: 'spelling',
+      message: 'Nouns are capitalized',
+      explanation: 'All German nouns start with a capital letter.'
+    },
+    'gu'
+  )
+];
+
+const ITALIAN_RULES = [
+  wordListRule('it-missing-accent', {
+    perche: 'perché', poiche: 'poiché', citta: 'città', piu: 'più', gia: 'già',
+    pero: 'però', cosi: 'così', universita: 'università', liberta: 'libertà',
+    verita: 'verità', caffe: 'caffè', lunedi: 'lunedì', martedi: 'martedì', venerdi: 'venerdì'
+  }, {
+    severity: 'error',
+    category: 'spelling',
+    message: 'Missing accent',
+    explanation: 'This word ends with an accented vowel in Italian.'
+  })
+];
+
+const PORTUGUESE_RULES = [
+  wordListRule('pt-missing-accent', {
+    nao: 'não', voce: 'você', voces: 'vocês', tambem: 'também', entao: 'então',
+    ja: 'já', ate: 'até', irmao: 'irmão', mae: 'mãe',
+    obrigacao: 'obrigação', informacao: 'informação', licao: 'lição', portugues: 'português'
+  }, {
+    severity: 'error',
+    category: 'spelling',
+    message: 'Missing accent',
+    explanation: 'This word is written with an accent mark (or til) in Portuguese.'
+  }),
+  {
+    id: 'pt-cao-accent',
+    pattern: new RegExp(`${WORD_BEFORE}[\\p{L}]+cao${WORD_AFTER}`, 'giu'),
+    severity: 'error',
+    category: 'spelling',
+    message: 'Missing accent',
+    explanation: 'Nouns ending in -ção are written with a cedilla and a til.',
+    correction: (match) => match[0].replace(/cao$/i, (ending) => matchCase(ending, 'ção'))
+  }
+];
+
+// French spaces its double punctuation, so it skips the generic spacing rule
+const RULE_PACKS = {
+  Spanish: [...COMMON_RULES, ...SPANISH_RULES],
+  French: [DOUBLE_SPACE_RULE, repeatedWordRule(REPEATED_WORD_EXCEPTIONS.French), MISSING_SPACE_AFTER_COMMA_RULE, ...FRENCH_RULES],
+  German: [DOUBLE_SPACE_RULE, repeatedWordRule(REPEATED_WORD_EXCEPTIONS.German), SPACE_BEFORE_PUNCTUATION_RULE, MISSING_SPACE_AFTER_COMMA_RULE, ...GERMAN_RULES],
+  Italian: [...COMMON_RULES, ...ITALIAN_RULES],
+  Portuguese: [...COMMON_RULES, ...PORTUGUESE_RULES]
+};
+
+// Run every rule for the language and return non-overlapping suggestions
+function checkTextOffline(text, language) {
+  if (!text) return [];
+
+  const rules = RULE_PACKS[language] || COMMON_RULES;
+  const suggestions = [];
+
+  rules.forEach(rule => {
+    rule.pattern.lastIndex = 0;
+    for (const match of text.matchAll(rule.pattern)) {
+      const correction = rule.correction(match);
+      if (correction === match[0]) continue;
+
+      suggestions.push({
+        start: match.index,
+        end: match.index + match[0].length,
+        problematicText: match[0],
+        severity: rule.severity,
+        category: rule.category,
+        message: rule.message,
+        correction,
+        explanation: rule.explanation,
+        source: 'offline',
+        ruleId: rule.id
+      });
+    }
+  });
+
+  return removeOverlapping(suggestions);
+}
+
+// Keep the first suggestion for any span that several rules flag
+function removeOverlapping(suggestions) {
+  const sorted = [...suggestions].sort((a, b) => a.start - b.start || b.end - a.end);
+  const kept = [];
+  let lastEnd = -1;
+
+  sorted.forEach(suggestion => {
+    if (suggestion.start >= lastEnd) {
+      kept.push(suggestion);
+      lastEnd = Math.max(lastEnd, suggestion.end);
+    }
+  });
+
+  return kept;
+}
+
+// LLM suggestions win wherever they overlap an offline one
+function mergeSuggestions(offlineSuggestions, llmSuggestions) {
+  const overlapsLLM = (suggestion) => llmSuggestions.some(llm =>
+    suggestion.start < llm.end && llm.start < suggestion.end
+  );
+
+  return [...llmSuggestions, ...offlineSuggestions.filter(s => !overlapsLLM(s))]
+    .sort((a, b) => a.start - b.start);
+}
@@ -0,0 +1,180 @@
+// Structured output: the JSON schemas every provider is asked to follow (as a forced
+// tool, a json_schema response format or an Ollama format, see providers.js) and the
+// validation each reply goes through anyway, since local servers may ignore the schema.
+// Problems are reported as readable strings so they can be sent back for one repair.
+
+const SEVERITIES = ['error', 'warning', 'info', 'style'];
+
+// Every property is required and nothing else is allowed, as OpenAI's strict mode
+// demands; "rule" and "example" may be empty when the learner's level doesn't use them
+const SUGGESTION_SCHEMA = {
+  name: 'report_issues',
+  description: 'Report every issue found in the text.',
+  schema: {
+    type: 'object',
+    properties: {
+      suggestions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            start: { type: 'integer' },
+            end: { type: 'integer' },
+            problematicText: { type: 'string' },
+            prefix: { type: 'string' },
+            suffix: { type: 'string' },
+            occurrence: { type: 'integer' },
+            severity: { type: 'string', enum: SEVERITIES },
+            category: { type: 'string', enum: Object.keys(ISSUE_CATEGORIES) },
+            message: { type: 'string' },
+            correction: { type: 'string' },
+            explanation: { type: 'string' },
+            rule: { type: 'string' },
+            example: { type: 'string' }
+          },
+          required: ['start', 'end', 'problematicText', 'prefix', 'suffix', 'occurrence', 'severity', 'category', 'message', 'correction', 'explanation', 'rule', 'example'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['suggestions'],
+    additionalProperties: false
+  }
+};
+
+const REWRITE_SCHEMA = {
+  name: 'submit_rewrite',
+  description: 'Submit the rewritten text and notes on the main changes.',
+  schema: {
+    type: 'object',
+    properties: {
+      rewrite: { type: 'string' },
+      notes: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['rewrite', 'notes'],
+    additionalProperties: false
+  }
+};
+
+// The reply as JSON. Schema-following replies are bare JSON; the code fence is for
+// servers that ignored the schema. Throws when there is no JSON to be found.
+function parseStructuredReply(text) {
+  const trimmed = (text || '').trim();
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+    if (!fenced) throw error;
+    return JSON.parse(fenced[1]);
+  }
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+// What is wrong with one suggestion object, as "field problem" strings
+function validateSuggestion(suggestion) {
+  if (!suggestion || typeof suggestion !== 'object' || Array.isArray(suggestion)) {
+    return ['is not an object'];
+  }
+
+  const problems = [];
+  ['start', 'end'].forEach(field => {
+    if (!Number.isInteger(suggestion[field]) || suggestion[field] < 0) {
+      problems.push(`${field} must be a non-negative integer`);
+    }
+  });
+  if (problems.length === 0 && suggestion.end <= suggestion.start) {
+    problems.push('end must be greater than start');
+  }
+  if (!SEVERITIES.includes(suggestion.severity)) {
+    problems.push(`severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+  if (!ISSUE_CATEGORIES[suggestion.category]) {
+    problems.push(`category must be one of ${Object.keys(ISSUE_CATEGORIES).join(', ')}`);
+  }
+  // Whitespace is a valid problem or fix (a doubled space, a missing one), a message is not
+  ['problematicText', 'correction'].forEach(field => {
+    if (!isNonEmptyString(suggestion[field])) {
+      problems.push(`${field} must be a non-empty string`);
+    }
+  });
+  if (typeof suggestion.message !== 'string' || !suggestion.message.trim()) {
+    problems.push('message must be a non-empty string');
+  }
+  if (suggestion.occurrence !== undefined && (!Number.isInteger(suggestion.occurrence) || suggestion.occurrence < 0)) {
+    problems.push('occurrence must be a non-negative integer');
+  }
+  ['prefix', 'suffix', 'explanation', 'rule', 'example'].forEach(field => {
+    if (suggestion[field] !== undefined && typeof suggestion[field] !== 'string') {
+      problems.push(`${field} must be a string`);
+    }
+  });
+  return problems;
+}
+
+// { suggestions, problems }: the valid suggestions of a parsed reply, and what was
+// wrong with the rest. A bare array is accepted from servers without schema support.
+function validateSuggestionReply(reply) {
+  const items = Array.isArray(reply) ? reply : reply && reply.suggestions;
+  if (!Array.isArray(items)) {
+    return { suggestions: [], problems: ['the reply must be an object with a "suggestions" array'] };
+  }
+
+  const suggestions = [];
+  const problems = [];
+  items.forEach((suggestion, index) => {
+    const found = validateSuggestion(suggestion);
+    if (found.length === 0) {
+      suggestions.push(suggestion);
+    } else {
+      problems.push(...found.map(problem => `suggestions[${index}].${problem}`));
+    }
+  });
+  return { suggestions, problems };
+}
+
+function validateRewriteReply(reply) {
+  if (!reply || typeof reply.rewrite !== 'string' || !reply.rewrite.trim()) {
+    return { rewrite: null, notes: [], problems: ['rewrite must be a non-empty string'] };
+  }
+  if (reply.notes !== undefined && (!Array.isArray(reply.notes) || reply.notes.some(note => typeof note !== 'string'))) {
+    return { rewrite: null, notes: [], problems: ['notes must be an array of strings'] };
+  }
+  return { rewrite: reply.rewrite, notes: reply.notes || [], problems: [] };
+}
+
+const INVALID_JSON_PROBLEM = 'the reply is not valid JSON';
+
+// Parse and validate in one go; unparseable text is one more problem to repair
+function readStructuredReply(text, validate) {
+  let reply;
+  try {
+    reply = parseStructuredReply(text);
+  } catch (error) {
+    return { ...validate(null), problems: [INVALID_JSON_PROBLEM] };
+  }
+  return validate(reply);
+}
+
+// The original prompt again, with the rejected reply and what was wrong with it
+function buildRepairPrompt(prompt, reply, problems) {
+  return `${prompt}
+
+Your previous reply was rejected:
+"""
+${reply}
+"""
+
+Problems found:
+${problems.slice(0, 20).map(problem => `- ${problem}`).join('\n')}
+
+Reply again with the complete result, fixing these problems. Follow the format exactly.`;
+}
+
+// One error for the whole reply, naming the first problem and counting the rest
+function createInvalidReplyError(problems) {
+  const more = problems.length > 1 ? ` and ${problems.length - 1} more` : '';
+  return createProviderError('invalid_response', `${problems[0]}${more}`);
+}
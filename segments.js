@@ -0,0 +1,83 @@
+// Text segmentation and result cache: a field's text is cut into paragraphs, and
+// LLM results are cached per paragraph so unchanged ones are never sent twice.
+
+const MAX_SEGMENT_LENGTH = 800; // Longer paragraphs are cut at sentence boundaries
+const SEGMENT_CACHE_LIMIT = 300;
+
+// "scope:hash:length" -> suggestions relative to the segment. The scope holds the
+// language and anything else that changes the model's answer for the same text.
+let segmentCache = new Map();
+
+// Split text into paragraphs (runs of non-empty lines), keeping each one's offset
+function splitIntoSegments(text) {
+  const segments = [];
+
+  for (const paragraph of text.matchAll(/[^\n]+(?:\n[^\n]+)*/g)) {
+    if (!paragraph[0].trim()) continue;
+
+    if (paragraph[0].length <= MAX_SEGMENT_LENGTH) {
+      segments.push({ start: paragraph.index, text: paragraph[0] });
+      continue;
+    }
+
+    // Group whole sentences into pieces that stay under the limit
+    let current = null;
+    for (const sentence of paragraph[0].matchAll(/[^.!?]+(?:[.!?]+\s*|$)|[.!?]+\s*/g)) {
+      const start = paragraph.index + sentence.index;
+      if (current && current.text.length + sentence[0].length > MAX_SEGMENT_LENGTH) {
+        segments.push(current);
+        current = null;
+      }
+      current = current
+        ? { start: current.start, text: current.text + sentence[0] }
+        : { start, text: sentence[0] };
+    }
+    if (current) segments.push(current);
+  }
+
+  return segments;
+}
+
+// FNV-1a, enough to tell paragraphs apart (the length is part of the key too)
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+function getSegmentCacheKey(segmentText, scope) {
+  return `${scope}:${hashText(segmentText)}:${segmentText.length}`;
+}
+
+function getCachedSegment(segmentText, scope) {
+  const key = getSegmentCacheKey(segmentText, scope);
+  const cached = segmentCache.get(key);
+  if (!cached) return null;
+
+  // Refresh recency so the least recently used entries are evicted first
+  segmentCache.delete(key);
+  segmentCache.set(key, cached);
+  return cached;
+}
+
+function cacheSegment(segmentText, scope, suggestions) {
+  const key = getSegmentCacheKey(segmentText, scope);
+  segmentCache.delete(key);
+  segmentCache.set(key, suggestions);
+
+  if (segmentCache.size > SEGMENT_CACHE_LIMIT) {
+    segmentCache.delete(segmentCache.keys().next().value);
+  }
+}
+
+// Move segment-relative suggestions into the coordinates of the full text
+function offsetSuggestions(suggestions, offset) {
+  return suggestions.map(suggestion => ({
+    ...suggestion,
+    start: suggestion.start + offset,
+    end: suggestion.end + offset
+  }));
+}
@@ -0,0 +1,100 @@
+// Per-site rules: where the assistant runs, which language each site is written in,
+// where text may be sent to the provider, and which fields are never monitored.
+// Shared by the content script (checked before a field is monitored), the popup
+// (quick toggle) and the options page.
+
+const SITE_RULE_KEYS = ['allowListOnly', 'allowedSites', 'blockedSites', 'neverSendSites', 'siteLanguages', 'fieldOptOuts'];
+
+const DEFAULT_FIELD_OPT_OUTS = {
+  passwordForms: true, // Any form that also asks for a password (logins, sign-ups)
+  searchFields: true, // Search boxes: short queries, not prose
+  selectors: [] // CSS selectors for anything else, e.g. an internal tool's fields
+};
+
+// "https://www.Example.com/path" -> "example.com"; a domain also covers its subdomains
+function normalizeDomain(input) {
+  return (input || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/:?#].*$/, '')
+    .replace(/^\*\./, '')
+    .replace(/^www\./, '');
+}
+
+function matchesDomain(hostname, domain) {
+  const host = hostname.toLowerCase().replace(/^www\./, '');
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+// Whether the assistant runs on hostname, whether its text may be sent to the provider
+// (offline rules still run when not), and the study languages it overrides there
+// (null to use the global ones). A block always wins over an allow.
+function getSiteRule(settings, hostname) {
+  const allowed = (settings.allowedSites || []).some(domain => matchesDomain(hostname, domain));
+  const blocked = (settings.blockedSites || []).some(domain => matchesDomain(hostname, domain));
+  const neverSend = (settings.neverSendSites || []).some(domain => matchesDomain(hostname, domain));
+
+  // The most specific (longest) matching domain sets the language
+  const languageDomain = Object.keys(settings.siteLanguages || {})
+    .filter(domain => matchesDomain(hostname, domain))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return {
+    enabled: !blocked && (!settings.allowListOnly || allowed),
+    sendToProvider: !neverSend,
+    languages: languageDomain ? [settings.siteLanguages[languageDomain]] : null
+  };
+}
+
+function getFieldOptOuts(settings) {
+  return { ...DEFAULT_FIELD_OPT_OUTS, ...settings.fieldOptOuts };
+}
+
+function isSearchField(element) {
+  if (element.type === 'search' || element.getAttribute('role') === 'searchbox') return true;
+  if (element.closest('[role="search"]')) return true;
+
+  const name = `${element.name || ''} ${element.id || ''}`.toLowerCase();
+  return element.tagName === 'INPUT' && (/\bsearch\b/.test(name) || element.name === 'q');
+}
+
+function isFieldOptedOut(element, optOuts) {
+  if (optOuts.passwordForms) {
+    const form = element.form || element.closest('form');
+    if (form && form.querySelector('input[type="password"]')) return true;
+  }
+
+  if (optOuts.searchFields && isSearchField(element)) return true;
+
+  return optOuts.selectors.some(selector => {
+    try {
+      return Boolean(element.closest(selector));
+    } catch (error) {
+      return false; // An invalid selector only disables itself
+    }
+  });
+}
+
+async function getSiteSettings() {
+  return chrome.storage.sync.get(SITE_RULE_KEYS);
+}
+
+// Quick toggle for one site: enabling lifts every block that covers it (and allows
+// it in allow-list mode), disabling blocks it
+async function setSiteEnabled(hostname, enabled) {
+  const settings = await getSiteSettings();
+  const domain = normalizeDomain(hostname);
+  const blockedSites = (settings.blockedSites || []).filter(blocked => !matchesDomain(hostname, blocked));
+  let allowedSites = settings.allowedSites || [];
+
+  if (enabled) {
+    if (settings.allowListOnly && !allowedSites.some(allowed => matchesDomain(hostname, allowed))) {
+      allowedSites = [...allowedSites, domain];
+    }
+  } else {
+    blockedSites.push(domain);
+  }
+
+  await chrome.storage.sync.set({ blockedSites, allowedSites });
+}
@@ -0,0 +1,66 @@
+// Strictness profiles and issue categories: shared by the popup (settings UI),
+// the service worker (prompt wording) and the content script (result filter).
+
+const STRICTNESS_PROFILES = {
+  errors: {
+    label: 'Errors only',
+    severities: ['error'],
+    instruction: 'Only report clear mistakes that are objectively wrong. Do not report awkward phrasing, word choice, register or style preferences.'
+  },
+  learner: {
+    label: 'Learner',
+    severities: ['error', 'warning', 'info'],
+    instruction: 'Report mistakes and the improvements most useful to a language learner. Skip minor stylistic preferences.'
+  },
+  native: {
+    label: 'Native polish',
+    severities: ['error', 'warning', 'info', 'style'],
+    instruction: 'Report everything a careful native editor would change, including unidiomatic phrasing, register and style.'
+  }
+};
+
+const ISSUE_CATEGORIES = {
+  spelling: 'Spelling',
+  grammar: 'Grammar',
+  punctuation: 'Punctuation',
+  register: 'Register',
+  style: 'Style'
+};
+
+const DEFAULT_STRICTNESS = 'learner';
+
+function getStrictnessProfile(strictness) {
+  return STRICTNESS_PROFILES[strictness] || STRICTNESS_PROFILES[DEFAULT_STRICTNESS];
+}
+
+// Categories are on unless explicitly switched off, so new ones default to enabled
+function getEnabledCategories(categories) {
+  return Object.keys(ISSUE_CATEGORIES).filter(category => !categories || categories[category] !== false);
+}
+
+// Prompt lines describing what to report under the given settings
+function buildStrictnessInstructions(strictness, categories) {
+  const profile = getStrictnessProfile(strictness);
+  const enabled = getEnabledCategories(categories);
+  const disabled = Object.keys(ISSUE_CATEGORIES).filter(category => !enabled.includes(category));
+
+  const lines = [
+    profile.instruction,
+    `Only use these severities: ${profile.severities.join(', ')}.`
+  ];
+  if (disabled.length > 0) {
+    lines.push(`Only report issues in these categories: ${enabled.join(', ')}. Do not report ${disabled.join(' or ')} issues.`);
+  }
+  return lines.join('\n');
+}
+
+// Drop suggestions the current settings hide; a missing category is never filtered
+function filterSuggestionsBySettings(suggestions, strictness, categories) {
+  const severities = getStrictnessProfile(strictness).severities;
+  const enabled = getEnabledCategories(categories);
+
+  return suggestions.filter(suggestion =>
+    severities.includes(suggestion.severity || 'info') &&
+    (!suggestion.category || enabled.includes(suggestion.category))
+  );
+}
@@ -0,0 +1,82 @@
+// Unit tests for anchoring.js. Run with: node --test tests/
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { loadScripts, toPlain } = require('./helpers/load.js');
+
+const {
+  anchorSuggestion,
+  createSearchText,
+  findApproximateMatches,
+  foldGrapheme,
+  splitGraphemes
+} = loadScripts(['anchoring.js']);
+
+const fixtures = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'anchoring.json'), 'utf8'));
+
+// Fixture texts mark the expected range with ⟦ ⟧; returns the text without them
+// and the range's offsets
+function readFixtureText(fixture) {
+  const marked = fixture.normalizeText ? fixture.text.normalize(fixture.normalizeText) : fixture.text;
+  const start = marked.indexOf('⟦');
+  const end = marked.indexOf('⟧') - 1;
+  return {
+    text: marked.replace('⟦', '').replace('⟧', ''),
+    expected: start === -1 ? null : { start, end }
+  };
+}
+
+for (const fixture of fixtures) {
+  test(fixture.name, () => {
+    const { text, expected } = readFixtureText(fixture);
+    const anchor = anchorSuggestion(text, fixture.suggestion);
+
+    if (fixture.expected === null) {
+      assert.equal(anchor, null);
+      return;
+    }
+    assert.ok(anchor, 'expected a match');
+    assert.deepEqual({ start: anchor.start, end: anchor.end }, expected);
+    assert.equal(anchor.text, text.substring(expected.start, expected.end));
+    if (fixture.method) {
+      assert.equal(anchor.method, fixture.method);
+    }
+  });
+}
+
+test('splitGraphemes keeps emoji sequences and combining marks together', () => {
+  const segments = splitGraphemes('a👨‍👩‍👧é').map(({ segment }) => segment);
+  assert.deepEqual(toPlain(segments), ['a', '👨‍👩‍👧', 'é']);
+});
+
+test('foldGrapheme drops accents and case, and turns whitespace into a space', () => {
+  assert.equal(foldGrapheme('É'), 'e');
+  assert.equal(foldGrapheme('ñ'), 'n');
+  assert.equal(foldGrapheme('\u00a0'), ' ');
+  assert.equal(foldGrapheme('学'), '学');
+});
+
+test('createSearchText maps every character back to whole graphemes', () => {
+  const text = 'cafe\u0301  ok';
+  const search = createSearchText(text, 'folded');
+  assert.equal(search.value, 'cafe ok');
+  // The folded "e" covers the decomposed "é" (two code units) of the original
+  assert.equal(search.starts[3], 3);
+  assert.equal(search.ends[3], 5);
+});
+
+test('findApproximateMatches reports each near miss once, with its edit distance', () => {
+  const matches = findApproximateMatches('the color and the colour', 'colour', 1);
+  assert.deepEqual(toPlain(matches.map(({ from, to, distance }) => ({ from, to, distance }))), [
+    { from: 4, to: 9, distance: 1 },
+    { from: 18, to: 24, distance: 0 }
+  ]);
+});
+
+test('anchorSuggestion ignores suggestions without quoted text', () => {
+  assert.equal(anchorSuggestion('Hola', { start: 0, end: 4, problematicText: '' }), null);
+  assert.equal(anchorSuggestion('Hola', { start: 0, end: 4 }), null);
+});
@@ -0,0 +1,200 @@
+// Service worker tests: background.js runs in a vm context with the chrome stub and
+// talks to the mock messages endpoint over real HTTP
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChromeStub } = require('./helpers/chrome.js');
+const { loadWorker, toPlain } = require('./helpers/load.js');
+const { startMockLLM } = require('./helpers/mock-llm.js');
+
+const TEXT = 'Yo es muy feliz hoy. Me gusta mucho la idioma español.';
+
+let mock;
+let extension;
+let worker;
+
+before(async () => {
+  mock = await startMockLLM();
+});
+
+after(() => mock.close());
+
+beforeEach(() => {
+  mock.requests.length = 0;
+  extension = createChromeStub({
+    sync: { provider: 'anthropic', providerBaseUrl: mock.url, targetLanguages: ['Spanish'] },
+    local: { apiKey: 'test-key', apiKeyConfigured: true }
+  });
+  worker = loadWorker(extension.worker);
+});
+
+// Stream an analysis through a port the way content.js does; resolves with what the
+// worker posted back
+function streamAnalysis(text, sender) {
+  return new Promise((resolve) => {
+    const port = extension.contentScript(sender).runtime.connect({ name: 'analysis' });
+    const messages = [];
+    port.onMessage.addListener((message) => {
+      messages.push(message);
+      if (message.type !== 'suggestion') {
+        port.disconnect();
+        resolve(messages);
+      }
+    });
+    port.postMessage({ action: 'analyzeText', text, language: 'Spanish', elementId: 1 });
+  });
+}
+
+test('readStructuredReply accepts plain JSON, fenced JSON and bare arrays', () => {
+  const suggestion = {
+    start: 0, end: 5, problematicText: 'Yo es', severity: 'error', category: 'grammar', message: 'm', correction: 'Yo soy'
+  };
+
+  const plain = worker.readStructuredReply(JSON.stringify({ suggestions: [suggestion] }), worker.validateSuggestionReply);
+  assert.deepEqual(toPlain(plain), { suggestions: [suggestion], problems: [] });
+
+  const fenced = worker.readStructuredReply(`Here you go:\n\`\`\`json\n${JSON.stringify([suggestion])}\n\`\`\``, worker.validateSuggestionReply);
+  assert.deepEqual(toPlain(fenced.suggestions), [suggestion]);
+
+  const broken = worker.readStructuredReply('{"suggestions": [', worker.validateSuggestionReply);
+  assert.deepEqual(toPlain(broken), { suggestions: [], problems: ['the reply is not valid JSON'] });
+});
+
+test('readStructuredReply keeps the valid suggestions and names the problems of the rest', () => {
+  const reply = {
+    suggestions: [
+      { start: 0, end: 5, problematicText: 'Yo es', severity: 'error', category: 'grammar', message: 'm', correction: 'Yo soy' },
+      { start: 9, end: 3, problematicText: 'x', severity: 'fatal', category: 'grammar', message: 'm', correction: 'y' }
+    ]
+  };
+  const result = worker.readStructuredReply(JSON.stringify(reply), worker.validateSuggestionReply);
+  assert.equal(result.suggestions.length, 1);
+  assert.deepEqual(toPlain(result.problems), [
+    'suggestions[1].end must be greater than start',
+    'suggestions[1].severity must be one of error, warning, info, style'
+  ]);
+});
+
+test('whitespace is a valid problematic text and correction, but not a message', () => {
+  const doubledSpace = {
+    start: 2, end: 4, problematicText: '  ', severity: 'style', category: 'punctuation', message: 'Doubled space', correction: ' '
+  };
+  assert.deepEqual(toPlain(worker.validateSuggestion(doubledSpace)), []);
+  assert.deepEqual(toPlain(worker.validateSuggestion({ ...doubledSpace, message: ' ' })), ['message must be a non-empty string']);
+  assert.deepEqual(toPlain(worker.validateSuggestion({ ...doubledSpace, correction: '' })), ['correction must be a non-empty string']);
+});
+
+test('verifySuggestionPosition moves miscounted offsets onto the quoted text', () => {
+  const verified = worker.verifySuggestionPosition({
+    start: 38, end: 47, problematicText: 'la idioma', prefix: 'gusta mucho ', suffix: ' español.', correction: 'el idioma'
+  }, TEXT, 0);
+  assert.equal(verified.start, 36);
+  assert.equal(verified.end, 45);
+  assert.equal(TEXT.substring(verified.start, verified.end), 'la idioma');
+
+  const missing = worker.verifySuggestionPosition({ start: 0, end: 4, problematicText: 'nada', correction: 'algo' }, TEXT, 1);
+  assert.equal(missing, null);
+});
+
+test('analyses are answered with verified suggestions', async () => {
+  mock.replay('spanish-analysis');
+
+  const messages = await streamAnalysis(TEXT);
+
+  assert.deepEqual(
+    messages.at(-1).suggestions.map(({ start, end, problematicText }) => [start, end, problematicText]),
+    [[0, 5, 'Yo es'], [36, 45, 'la idioma']]
+  );
+  assert.equal(mock.requests.length, 1);
+  assert.equal(mock.requests[0].tool_choice.name, 'report_issues');
+  assert.match(mock.requests[0].messages[0].content, /Yo es muy feliz hoy/);
+});
+
+test('an invalid reply gets one repair request', async () => {
+  mock.replay('invalid-suggestion', 'spanish-analysis');
+
+  const messages = await streamAnalysis(TEXT);
+
+  assert.equal(messages.at(-1).suggestions.length, 2);
+  assert.equal(mock.requests.length, 2);
+  const repairPrompt = mock.requests[1].messages[0].content;
+  assert.match(repairPrompt, /Your previous reply was rejected/);
+  assert.match(repairPrompt, /suggestions\[0\]\.severity must be one of/);
+  assert.match(repairPrompt, /suggestions\[0\]\.correction must be a non-empty string/);
+});
+
+test('a reply still invalid after the repair keeps its valid suggestions and reports the rest', async () => {
+  mock.replay('partly-invalid-analysis', 'partly-invalid-analysis');
+
+  const messages = await streamAnalysis(TEXT);
+
+  const done = messages.at(-1);
+  assert.equal(done.type, 'done');
+  assert.deepEqual(toPlain(done.suggestions.map(({ problematicText }) => problematicText)), ['la idioma']);
+  assert.equal(done.kind, 'invalid_response');
+  assert.match(done.error, /suggestions\[0\]\.severity must be one of/);
+  assert.equal(mock.pending(), 0);
+
+  await new Promise(resolve => setTimeout(resolve));
+  assert.equal(extension.storage.local.data.providerStatus.kind, 'invalid_response');
+});
+
+test('streamed suggestions arrive one by one, then the full list', async () => {
+  mock.replay('spanish-analysis');
+
+  const messages = await streamAnalysis(TEXT);
+
+  assert.deepEqual(messages.map(message => message.type), ['suggestion', 'suggestion', 'done']);
+  assert.equal(messages[1].suggestion.start, 36);
+  assert.equal(messages[2].suggestions.length, 2);
+  assert.equal(mock.requests[0].stream, true);
+});
+
+test('provider errors are classified and shown on the badge', async () => {
+  mock.replay('invalid-key');
+
+  const messages = await streamAnalysis(TEXT);
+
+  assert.deepEqual(toPlain(messages.map(({ type, kind }) => ({ type, kind }))), [{ type: 'error', kind: 'invalid_key' }]);
+  await new Promise(resolve => setTimeout(resolve));
+  assert.equal(extension.storage.local.data.providerStatus.kind, 'invalid_key');
+  assert.deepEqual(toPlain(extension.calls.badge.at(-1)), { text: '!' });
+});
+
+test('rewriteText messages return the rewrite with its diff', async () => {
+  mock.replay('formal-rewrite');
+
+  const response = await extension.contentScript().runtime.sendMessage({
+    action: 'rewriteText', text: 'Puedes mandarme el informe?', language: 'Spanish', mode: 'formal', elementId: 1
+  });
+
+  assert.equal(response.mode, 'formal');
+  assert.equal(response.rewrite, '¿Podría mandarme el informe?');
+  assert.equal(response.notes.length, 2);
+  assert.deepEqual(response.diff.filter(part => part.type !== 'equal'), [
+    { type: 'delete', text: 'Puedes' },
+    { type: 'insert', text: '¿Podría' }
+  ]);
+  assert.equal(mock.requests[0].tool_choice.name, 'submit_rewrite');
+});
+
+test('sites set to never send are refused before anything leaves the browser', async () => {
+  await extension.storage.sync.set({ neverSendSites: ['bank.example.com'] });
+  const bank = { tab: { id: 1, url: 'https://bank.example.com/' }, frameId: 0, url: 'https://bank.example.com/' };
+
+  const messages = await streamAnalysis(TEXT, bank);
+
+  assert.match(messages[0].error, /bank\.example\.com is turned off in the site rules/);
+  assert.equal(mock.requests.length, 0);
+});
+
+test('a never-send page is refused for the fields of the frames inside it too', async () => {
+  await extension.storage.sync.set({ neverSendSites: ['bank.example.com'] });
+  const editorFrame = { tab: { id: 1, url: 'https://bank.example.com/' }, frameId: 3, url: 'https://editor.example.net/' };
+
+  const messages = await streamAnalysis(TEXT, editorFrame);
+
+  assert.match(messages[0].error, /bank\.example\.com is turned off in the site rules/);
+  assert.equal(mock.requests.length, 0);
+});
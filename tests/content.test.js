@@ -0,0 +1,303 @@
+// Content script tests: the manifest's content scripts run in a jsdom page wired to a
+// service worker (see helpers/load.js), which answers from the mock messages endpoint
+
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { createChromeStub } = require('./helpers/chrome.js');
+const { loadWorker, loadContentScripts, waitFor } = require('./helpers/load.js');
+const { startMockLLM } = require('./helpers/mock-llm.js');
+
+const PAGE = fs.readFileSync(path.join(__dirname, 'fixtures', 'pages', 'fields.html'), 'utf8');
+const TEXT = 'Yo es muy feliz hoy. Me gusta mucho la idioma español.';
+
+let mock;
+let extension;
+let window;
+let document;
+
+before(async () => {
+  mock = await startMockLLM();
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  mock.requests.length = 0;
+  extension = createChromeStub({
+    sync: { provider: 'anthropic', providerBaseUrl: mock.url, targetLanguages: ['Spanish'] },
+    local: { apiKey: 'test-key', apiKeyConfigured: true }
+  });
+  loadWorker(extension.worker);
+  window = loadContentScripts(extension.contentScript(), PAGE);
+  document = window.document;
+
+  // Fields are monitored once the settings have loaded
+  await new Promise(resolve => setTimeout(resolve));
+});
+
+// Let pending mutation observer callbacks run before the document goes away
+afterEach(async () => {
+  await new Promise(resolve => setTimeout(resolve));
+  window.close();
+});
+
+function getText(field) {
+  return field.value ?? field.textContent;
+}
+
+function setText(field, text) {
+  if (field.value !== undefined) {
+    field.value = text;
+  } else {
+    field.textContent = text;
+  }
+}
+
+// The marks of the overlay mirroring this field's current text
+function getMarks(field) {
+  const overlay = Array.from(document.querySelectorAll('.lang-helper-content-overlay'))
+    .find(candidate => candidate.textContent === getText(field));
+  return overlay ? Array.from(overlay.querySelectorAll('.lang-helper-mark')) : [];
+}
+
+function readMark(mark) {
+  const { start, end, correction } = JSON.parse(mark.getAttribute('data-suggestion'));
+  return { text: mark.textContent, start, end, correction };
+}
+
+function hover(mark) {
+  mark.dispatchEvent(new window.MouseEvent('mouseenter'));
+  return document.querySelector('.lang-helper-suggestion-tooltip');
+}
+
+const suggestion = (start, end, problematicText, correction) => ({
+  start, end, problematicText, correction, severity: 'error', category: 'grammar', message: 'm', source: 'llm'
+});
+
+test('analysis results are underlined where their text is, even with miscounted offsets', async () => {
+  mock.replay('spanish-analysis');
+  const textarea = document.getElementById('textarea');
+  textarea.value = TEXT;
+
+  await window.analyzeText(TEXT, textarea);
+
+  // The recording puts "la idioma" at 38-47; the worker moves it to 36-45
+  assert.deepEqual(getMarks(textarea).map(readMark), [
+    { text: 'Yo es', start: 0, end: 5, correction: 'Yo soy' },
+    { text: 'la idioma', start: 36, end: 45, correction: 'el idioma' }
+  ]);
+  assert.equal(JSON.parse(textarea.getAttribute('data-suggestions')).length, 2);
+});
+
+test('the tooltip explains a suggestion at the learner\'s level', async () => {
+  mock.replay('spanish-analysis');
+  const textarea = document.getElementById('textarea');
+  textarea.value = TEXT;
+  await window.analyzeText(TEXT, textarea);
+
+  const tooltip = hover(getMarks(textarea)[1]);
+
+  assert.equal(tooltip.style.display, 'block');
+  assert.equal(tooltip.querySelector('.lang-helper-tooltip-message').textContent, '"Idioma" is masculine.');
+  assert.match(tooltip.querySelector('.lang-helper-tooltip-rule').textContent, /Noun gender/);
+  assert.match(tooltip.querySelector('.lang-helper-tooltip-example').textContent, /El idioma español es bonito/);
+});
+
+for (const id of ['textarea', 'editable']) {
+  test(`Replace applies the correction and shifts the suggestions after it (${id})`, async () => {
+    mock.replay('spanish-analysis');
+    const field = document.getElementById(id);
+    setText(field, TEXT);
+    await window.analyzeText(TEXT, field);
+
+    hover(getMarks(field)[0]).querySelector('.lang-helper-replace-btn').click();
+
+    assert.equal(getText(field), 'Yo soy muy feliz hoy. Me gusta mucho la idioma español.');
+    assert.deepEqual(getMarks(field).map(readMark), [
+      { text: 'la idioma', start: 37, end: 46, correction: 'el idioma' }
+    ]);
+    assert.deepEqual(
+      JSON.parse(field.getAttribute('data-suggestions')).map(({ start, end }) => [start, end]),
+      [[37, 46]]
+    );
+
+    hover(getMarks(field)[0]).querySelector('.lang-helper-replace-btn').click();
+    assert.equal(getText(field), 'Yo soy muy feliz hoy. Me gusta mucho el idioma español.');
+    assert.equal(getMarks(field).length, 0);
+  });
+}
+
+test('a suggestion whose text changed since is not applied', () => {
+  const input = document.getElementById('input');
+  input.value = 'Tengo viente años';
+  window.displaySuggestions([suggestion(6, 12, 'viente', 'veinte')], input);
+  const mark = getMarks(input)[0];
+
+  input.value = 'Tengo treinta años';
+  hover(mark).querySelector('.lang-helper-replace-btn').click();
+
+  assert.equal(input.value, 'Tengo treinta años');
+});
+
+test('a dismissed suggestion stays dismissed when the same words are typed before it', () => {
+  const input = document.getElementById('input');
+  input.value = 'Tengo viente años';
+  window.displaySuggestions([suggestion(6, 12, 'viente', 'veinte')], input);
+  hover(getMarks(input)[0]).querySelector('.lang-helper-dismiss-btn').click();
+
+  input.value = 'Tengo viente gatos. Tengo viente años';
+  window.displaySuggestions([suggestion(6, 12, 'viente', 'veinte'), suggestion(26, 32, 'viente', 'veinte')], input);
+
+  assert.deepEqual(getMarks(input).map(mark => readMark(mark).start), [6]);
+});
+
+test('dismissals are kept for the field across reloads', async () => {
+  const input = document.getElementById('input');
+  input.value = 'Tengo viente años';
+  window.displaySuggestions([suggestion(6, 12, 'viente', 'veinte')], input);
+  hover(getMarks(input)[0]).querySelector('.lang-helper-dismiss-btn').click();
+  await waitFor(() => extension.storage.session.data.dismissals);
+
+  window.close();
+  window = loadContentScripts(extension.contentScript(), PAGE);
+  document = window.document;
+  await new Promise(resolve => setTimeout(resolve));
+
+  const reloaded = document.getElementById('input');
+  reloaded.value = 'Tengo viente años';
+  window.displaySuggestions([suggestion(6, 12, 'viente', 'veinte')], reloaded);
+  await waitFor(() => getMarks(reloaded).length === 0);
+});
+
+test('typing in a field runs the offline rules, then the LLM after a pause', async () => {
+  mock.replay('spanish-analysis');
+  const textarea = document.getElementById('textarea');
+  textarea.value = TEXT;
+  textarea.dispatchEvent(new window.Event('input', { bubbles: true }));
+
+  await waitFor(() => mock.requests.length === 1, { timeout: 4000 });
+  await waitFor(() => getMarks(textarea).length === 2);
+  assert.equal(mock.requests[0].stream, true);
+  assert.match(mock.requests[0].messages[0].content, /me gusta mucho la idioma/i);
+});
+
+test('a partly invalid reply keeps and caches its valid suggestions and shows a notice', async () => {
+  mock.replay('partly-invalid-analysis', 'partly-invalid-analysis');
+  const textarea = document.getElementById('textarea');
+  textarea.value = TEXT;
+
+  await window.analyzeText(TEXT, textarea);
+
+  assert.deepEqual(getMarks(textarea).map(mark => mark.textContent), ['la idioma']);
+  assert.match(document.querySelector('.lang-helper-error').textContent, /severity must be one of/);
+
+  await window.analyzeText(TEXT, textarea);
+  assert.equal(mock.requests.length, 2);
+});
+
+test('provider errors show a notice by the field that leads to the settings', async () => {
+  mock.replay('invalid-key');
+  const textarea = document.getElementById('textarea');
+  textarea.value = TEXT;
+
+  await window.analyzeText(TEXT, textarea);
+
+  const notice = document.querySelector('.lang-helper-error');
+  assert.match(notice.textContent, /rejected the API key/);
+  notice.querySelector('.lang-helper-error-btn').click();
+  await waitFor(() => extension.calls.openOptionsPage === 1);
+});
+
+test('fields removed from the page stop being monitored until they come back', async () => {
+  const textarea = document.getElementById('textarea');
+  assert.equal(textarea.getAttribute('data-lang-helper-monitored'), 'true');
+
+  textarea.remove();
+  await waitFor(() => !textarea.hasAttribute('data-lang-helper-monitored'));
+
+  document.body.append(textarea);
+  await waitFor(() => textarea.hasAttribute('data-lang-helper-monitored'));
+});
+
+test('elements that become editable later are monitored', async () => {
+  const div = document.createElement('div');
+  document.body.append(div);
+  await new Promise(resolve => setTimeout(resolve));
+
+  div.setAttribute('contenteditable', 'true');
+  await waitFor(() => div.hasAttribute('data-lang-helper-monitored'), { timeout: 1000 });
+});
+
+test('fields in the shadow root of a custom element defined later are monitored', async () => {
+  const host = document.createElement('lang-test-editor');
+  document.body.append(host);
+  await new Promise(resolve => setTimeout(resolve));
+
+  window.eval(`customElements.define('lang-test-editor', class extends HTMLElement {
+    constructor() {
+      super();
+      this.attachShadow({ mode: 'open' }).innerHTML = '<textarea></textarea>';
+    }
+  });`);
+  const textarea = host.shadowRoot.querySelector('textarea');
+  await waitFor(() => textarea.hasAttribute('data-lang-helper-monitored'), { timeout: 4000 });
+});
+
+test('Alt+letter keys type as usual unless bound, or when their action has nothing to act on', async () => {
+  const textarea = document.getElementById('textarea');
+  textarea.focus();
+  const pressOptionR = () => {
+    const event = new window.KeyboardEvent('keydown', { key: '®', code: 'KeyR', altKey: true, bubbles: true, cancelable: true });
+    textarea.dispatchEvent(event);
+    return event.defaultPrevented;
+  };
+
+  assert.equal(pressOptionR(), false);
+
+  await extension.storage.sync.set({ shortcuts: { rewrite: 'Alt+R' } });
+  assert.equal(pressOptionR(), false);
+
+  mock.replay('formal-rewrite');
+  textarea.value = 'Puedes mandarme el informe?';
+  assert.equal(pressOptionR(), true);
+  await waitFor(() => /Podría/.test(document.querySelector('.lang-helper-rewrite-body').textContent));
+});
+
+test('in-page bindings without Ctrl, Alt or Meta never take a key from the field', async () => {
+  const textarea = document.getElementById('textarea');
+  textarea.value = 'Puedes mandarme el informe?';
+  textarea.focus();
+  await extension.storage.sync.set({ shortcuts: { rewrite: 'R' } });
+
+  const event = new window.KeyboardEvent('keydown', { key: 'r', code: 'KeyR', bubbles: true, cancelable: true });
+  textarea.dispatchEvent(event);
+
+  assert.equal(event.defaultPrevented, false);
+  assert.equal(window.isUsableShortcut('Enter'), false);
+  assert.equal(window.isUsableShortcut('Shift+Space'), false);
+  assert.equal(window.isUsableShortcut('Ctrl+Enter'), true);
+  assert.equal(window.isUsableShortcut('F2'), true);
+});
+
+test('a subframe on another host follows the site rules of the page it is embedded in', async () => {
+  // A fresh stub, so the closed page's storage listeners hear nothing
+  window.close();
+  extension = createChromeStub({ sync: { targetLanguages: ['Spanish'] } });
+  loadWorker(extension.worker);
+  window = loadContentScripts(extension.contentScript(), PAGE, {
+    url: 'https://editor.example.net/frame.html',
+    ancestorOrigins: ['https://cdn.example.org', 'https://mail.example.com']
+  });
+  document = window.document;
+  await new Promise(resolve => setTimeout(resolve));
+  const textarea = document.getElementById('textarea');
+  assert.equal(textarea.getAttribute('data-lang-helper-monitored'), 'true');
+
+  // What the popup's "disable on this site" toggle writes
+  await extension.storage.sync.set({ blockedSites: ['mail.example.com'] });
+
+  assert.equal(textarea.hasAttribute('data-lang-helper-monitored'), false);
+});
@@ -0,0 +1,36 @@
+// Personal dictionary and ignore list (dictionary.js)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts } = require('./helpers/load.js');
+
+const { isSuggestionIgnored, buildDictionaryInstructions } = loadScripts(['dictionary.js']);
+
+const flagged = problematicText => ({ problematicText });
+
+test('dictionary words are correct wherever they appear in the flagged text', () => {
+  const dictionary = ['Kubernetes', 'vale tío'];
+
+  assert.equal(isSuggestionIgnored(flagged('kubernetes'), dictionary, []), true);
+  assert.equal(isSuggestionIgnored(flagged('el Kubernetes nuevo'), dictionary, []), true);
+  assert.equal(isSuggestionIgnored(flagged('Vale  tío,'), dictionary, []), true);
+  assert.equal(isSuggestionIgnored(flagged('Kubernetesx'), dictionary, []), false);
+  assert.equal(isSuggestionIgnored(flagged('valle'), dictionary, []), false);
+});
+
+test('ignore-list entries only hide suggestions for exactly that text', () => {
+  const ignoreList = ['a ver'];
+
+  assert.equal(isSuggestionIgnored(flagged('A  ver'), [], ignoreList), true);
+  assert.equal(isSuggestionIgnored(flagged('a ver si'), [], ignoreList), false);
+  assert.equal(isSuggestionIgnored(flagged('ver'), [], ignoreList), false);
+});
+
+test('the prompt tells the two lists apart', () => {
+  const instructions = buildDictionaryInstructions(['Kubernetes'], ['a ver']);
+
+  assert.match(instructions, /correct wherever they appear\. Never flag them: "Kubernetes"$/m);
+  assert.match(instructions, /exactly one of these: "a ver"$/m);
+  assert.equal(buildDictionaryInstructions([], []), '');
+});
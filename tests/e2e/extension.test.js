@@ -0,0 +1,123 @@
+// End-to-end: the unpacked extension in headless Chromium, checking test.html against
+// the mock messages endpoint. Skipped when Puppeteer or its browser isn't installed
+// (npx puppeteer browsers install chrome).
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+
+const { ROOT } = require('../helpers/load.js');
+const { startMockLLM } = require('../helpers/mock-llm.js');
+
+const TEXT = 'Yo es muy feliz hoy. Me gusta mucho la idioma español.';
+
+// { puppeteer } when a browser can be launched, { skip: reason } otherwise
+function findBrowser() {
+  let puppeteer;
+  try {
+    puppeteer = require('puppeteer');
+  } catch (error) {
+    return { skip: 'Puppeteer is not installed' };
+  }
+
+  const executablePath = puppeteer.executablePath();
+  if (!fs.existsSync(executablePath)) {
+    return { skip: `no Chromium at ${executablePath}` };
+  }
+  return { puppeteer };
+}
+
+// Serves test.html; content scripts don't run on file:// pages by default
+function startPageServer() {
+  const server = http.createServer((request, response) => {
+    if (request.url !== '/test.html') {
+      response.writeHead(404);
+      response.end();
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    response.end(fs.readFileSync(path.join(ROOT, 'test.html')));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/test.html`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+const { puppeteer, skip } = findBrowser();
+
+describe('extension in headless Chromium', { skip, timeout: 60000 }, () => {
+  let mock;
+  let pageServer;
+  let browser;
+  let worker;
+
+  before(async () => {
+    mock = await startMockLLM();
+    pageServer = await startPageServer();
+    browser = await puppeteer.launch({ headless: true, pipe: true, enableExtensions: [ROOT] });
+
+    const workerTarget = await browser.waitForTarget(
+      target => target.type() === 'service_worker' && target.url().endsWith('/background.js')
+    );
+    worker = await workerTarget.worker();
+    await worker.evaluate(async (baseUrl) => {
+      await chrome.storage.sync.set({ provider: 'anthropic', providerBaseUrl: baseUrl, targetLanguages: ['Spanish'], enabled: true });
+      await chrome.storage.local.set({ apiKey: 'test-key', apiKeyConfigured: true });
+    }, mock.url);
+  });
+
+  after(async () => {
+    if (browser) await browser.close();
+    if (pageServer) await pageServer.close();
+    if (mock) await mock.close();
+  });
+
+  test('typing in test.html underlines the mistakes and Replace fixes them', async () => {
+    mock.replay('spanish-analysis');
+    const page = await browser.newPage();
+    await page.goto(pageServer.url);
+
+    await page.type('textarea', TEXT);
+    await page.waitForFunction(
+      () => document.querySelectorAll('.lang-helper-content-overlay .lang-helper-mark').length === 2,
+      { timeout: 15000 }
+    );
+
+    const marks = await page.$$eval('.lang-helper-content-overlay .lang-helper-mark', elements =>
+      elements.map(mark => mark.textContent)
+    );
+    assert.deepEqual(marks, ['Yo es', 'la idioma']);
+    assert.equal(mock.requests.length, 1);
+    assert.equal(mock.requests[0].stream, true);
+
+    await page.hover('.lang-helper-content-overlay .lang-helper-mark');
+    await page.waitForSelector('.lang-helper-replace-btn', { visible: true });
+    await page.click('.lang-helper-replace-btn');
+
+    assert.equal(
+      await page.$eval('textarea', textarea => textarea.value),
+      'Yo soy muy feliz hoy. Me gusta mucho la idioma español.'
+    );
+    await page.close();
+  });
+
+  test('a rejected key shows a notice under the field', async () => {
+    mock.replay('invalid-key');
+    const page = await browser.newPage();
+    await page.goto(pageServer.url);
+
+    await page.type('input[type="text"]', 'Tengo viente años');
+    const notice = await page.waitForSelector('.lang-helper-error', { timeout: 15000 });
+
+    assert.match(await notice.evaluate(element => element.textContent), /rejected the API key/);
+    await page.close();
+  });
+});
@@ -0,0 +1,215 @@
+// A stand-in for the chrome.* APIs the extension uses, enough to run the service
+// worker in a vm context and the content scripts in jsdom. Both sides share one
+// storage and message bus: runtime.sendMessage and runtime.connect from a content
+// script reach the worker's listeners, tabs.sendMessage reaches the content script's.
+
+// chrome.events.Event: listeners plus a dispatch() for the tests
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: listener => listeners.push(listener),
+    removeListener: (listener) => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    hasListener: listener => listeners.includes(listener),
+    dispatch: (...args) => listeners.map(listener => listener(...args))
+  };
+}
+
+// Messages are copied on the way across, as Chrome serializes them
+function cloneMessage(message) {
+  return message === undefined ? undefined : JSON.parse(JSON.stringify(message));
+}
+
+// Either a callback or a promise, like the real APIs
+function settle(promise, callback) {
+  if (typeof callback !== 'function') return promise;
+  promise.then(callback);
+  return undefined;
+}
+
+function createStorageArea(areaName, initial, onChanged) {
+  const data = { ...initial };
+
+  const get = async (keys) => {
+    if (keys === null || keys === undefined) return cloneMessage(data);
+    if (typeof keys === 'string') keys = [keys];
+
+    // An object of keys supplies defaults for the missing ones
+    const defaults = Array.isArray(keys) ? {} : keys;
+    const result = {};
+    (Array.isArray(keys) ? keys : Object.keys(keys)).forEach(key => {
+      if (key in data) {
+        result[key] = cloneMessage(data[key]);
+      } else if (defaults[key] !== undefined) {
+        result[key] = defaults[key];
+      }
+    });
+    return result;
+  };
+
+  const set = async (items) => {
+    const changes = {};
+    Object.entries(cloneMessage(items)).forEach(([key, newValue]) => {
+      changes[key] = { oldValue: data[key], newValue };
+      data[key] = newValue;
+    });
+    onChanged.dispatch(changes, areaName);
+  };
+
+  const remove = async (keys) => {
+    const changes = {};
+    (Array.isArray(keys) ? keys : [keys]).forEach(key => {
+      if (key in data) {
+        changes[key] = { oldValue: data[key] };
+        delete data[key];
+      }
+    });
+    if (Object.keys(changes).length > 0) onChanged.dispatch(changes, areaName);
+  };
+
+  return {
+    data,
+    get: (keys, callback) => settle(get(keys), callback),
+    set: (items, callback) => settle(set(items), callback),
+    remove: (keys, callback) => settle(remove(keys), callback),
+    clear: (callback) => settle(remove(Object.keys(data)), callback)
+  };
+}
+
+// One end of a runtime.connect() channel; post() delivers to the other end
+function createPort(name, sender) {
+  const port = {
+    name,
+    sender,
+    peer: null,
+    connected: true,
+    onMessage: createEvent(),
+    onDisconnect: createEvent(),
+    postMessage(message) {
+      if (!port.connected) throw new Error('Attempting to use a disconnected port object');
+      const copy = cloneMessage(message);
+      setTimeout(() => {
+        if (port.peer.connected) port.peer.onMessage.dispatch(copy, port.peer);
+      });
+    },
+    // Only the other end hears about a disconnect, as in Chrome
+    disconnect() {
+      if (!port.connected) return;
+      port.connected = false;
+      port.peer.connected = false;
+      setTimeout(() => port.peer.onDisconnect.dispatch(port.peer));
+    }
+  };
+  return port;
+}
+
+// Hand a message to onMessage listeners; resolves with the first sendResponse
+function deliverMessage(event, message, sender) {
+  return new Promise((resolve) => {
+    let responded = false;
+    const sendResponse = (response) => {
+      if (responded) return;
+      responded = true;
+      resolve(cloneMessage(response));
+    };
+    const copy = cloneMessage(message);
+    const results = event.listeners.map(listener => listener(copy, sender, sendResponse));
+    if (!responded && !results.includes(true)) resolve(undefined);
+  });
+}
+
+// { storage, worker, contentScript(sender), ... }: worker is the chrome object for
+// the service worker, contentScript() makes one for a page. Storage starts from
+// `sync`, `local` and `session`. Every call a test may want to check is recorded
+// in `calls` (badge, context menus, tab messages, options page).
+function createChromeStub({ sync = {}, local = {}, session = {} } = {}) {
+  const onChanged = createEvent();
+  const storage = {
+    sync: createStorageArea('sync', sync, onChanged),
+    local: createStorageArea('local', local, onChanged),
+    session: createStorageArea('session', session, onChanged),
+    onChanged
+  };
+
+  const calls = { badge: [], contextMenus: [], tabMessages: [], openOptionsPage: 0 };
+  const workerRuntime = {
+    onMessage: createEvent(),
+    onConnect: createEvent(),
+    onInstalled: createEvent()
+  };
+  const tabListeners = new Map(); // tabId -> content script onMessage
+
+  const worker = {
+    storage,
+    runtime: {
+      ...workerRuntime,
+      id: 'test-extension',
+      getURL: path => `chrome-extension://test-extension/${path}`,
+      openOptionsPage: () => { calls.openOptionsPage++; }
+    },
+    action: {
+      setBadgeText: details => calls.badge.push(details),
+      setBadgeBackgroundColor: () => {}
+    },
+    commands: {
+      onCommand: createEvent(),
+      getAll: callback => settle(Promise.resolve([]), callback)
+    },
+    contextMenus: {
+      onClicked: createEvent(),
+      create: properties => calls.contextMenus.push(properties),
+      removeAll: (callback) => {
+        calls.contextMenus.length = 0;
+        return settle(Promise.resolve(), callback);
+      }
+    },
+    tabs: {
+      query: (queryInfo, callback) => settle(Promise.resolve([{ id: 1, active: true }]), callback),
+      create: properties => Promise.resolve({ id: 2, ...properties }),
+      sendMessage: (tabId, message, options = {}) => {
+        calls.tabMessages.push({ tabId, message, options });
+        const event = tabListeners.get(tabId);
+        return event ? deliverMessage(event, message, { id: 'test-extension' }) : Promise.resolve(undefined);
+      }
+    },
+    permissions: {
+      request: () => Promise.resolve(true)
+    }
+  };
+
+  // A content script's view: it talks to the worker as `sender`, by default the top
+  // frame of a tab showing https://example.com/
+  const contentScript = (sender = { tab: { id: 1, url: 'https://example.com/' }, frameId: 0, url: 'https://example.com/' }) => {
+    const onMessage = createEvent();
+    tabListeners.set(sender.tab.id, onMessage);
+
+    return {
+      storage,
+      runtime: {
+        id: 'test-extension',
+        onMessage,
+        getURL: worker.runtime.getURL,
+        sendMessage: (message, callback) => settle(deliverMessage(workerRuntime.onMessage, message, sender), callback),
+        connect: ({ name = '' } = {}) => {
+          const pagePort = createPort(name, null);
+          const workerPort = createPort(name, sender);
+          pagePort.peer = workerPort;
+          workerPort.peer = pagePort;
+          setTimeout(() => workerRuntime.onConnect.dispatch(workerPort));
+          return pagePort;
+        }
+      },
+      // Never reliable, so fields fall back to the first study language
+      i18n: {
+        detectLanguage: (text, callback) => callback({ isReliable: false, languages: [] })
+      }
+    };
+  };
+
+  return { storage, worker, contentScript, calls };
+}
+
+module.exports = { createChromeStub, createEvent };
@@ -0,0 +1,116 @@
+// Loads the extension's scripts outside the browser: single modules or the service
+// worker (with the files it imports) in a vm context, and the manifest's content
+// scripts in a jsdom page. Top-level functions of both end up on the returned global, so tests can call
+// them directly. Set LANG_HELPER_DEBUG=1 to see the scripts' console output.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+const debug = Boolean(process.env.LANG_HELPER_DEBUG);
+
+function readSource(file) {
+  return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+const quietConsole = {
+  log() {},
+  info() {},
+  debug() {},
+  warn() {},
+  error() {}
+};
+
+// Plain scripts run in order in a fresh vm context, as they would share a page's
+// global scope; `globals` adds whatever else they expect (chrome, fetch...)
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({ console: debug ? console : quietConsole, ...globals });
+  files.forEach(file => vm.runInContext(readSource(file), context, { filename: file }));
+  return context;
+}
+
+// The service worker with `chrome` as its chrome.* API; fetch is Node's own, so the
+// provider calls reach whatever providerBaseUrl points at (see mock-llm.js)
+function loadWorker(chrome) {
+  const context = loadScripts([], {
+    chrome,
+    fetch,
+    AbortController,
+    DOMException,
+    TextEncoder,
+    TextDecoder,
+    URL,
+    crypto,
+    btoa,
+    atob,
+    setTimeout,
+    clearTimeout
+  });
+  context.importScripts = (...files) => {
+    files.forEach(file => vm.runInContext(readSource(file), context, { filename: file }));
+  };
+
+  vm.runInContext(readSource(manifest.background.service_worker), context, {
+    filename: manifest.background.service_worker
+  });
+  return context;
+}
+
+// A jsdom page from `html` with the content scripts running in it, in manifest order.
+// A subframe gets the origins of the pages around it as `ancestorOrigins`, innermost first.
+// jsdom does no layout, so every element reports the same non-empty box (fields
+// would otherwise look hidden and lose their overlays). It has no editing commands
+// either, so execCommand fails like it does for editors that block it, and no
+// isContentEditable, which is derived from the attribute here.
+function loadContentScripts(chrome, html, { url = 'https://example.com/', ancestorOrigins = [] } = {}) {
+  const virtualConsole = new VirtualConsole();
+  if (debug) {
+    virtualConsole.sendTo(console);
+  } else {
+    virtualConsole.on('jsdomError', error => console.error(error));
+  }
+
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+  const { window } = dom;
+  window.chrome = chrome;
+  Object.defineProperty(window.location, 'ancestorOrigins', { value: ancestorOrigins });
+  window.document.execCommand = () => false;
+  window.Element.prototype.getBoundingClientRect = () => ({
+    x: 0, y: 0, left: 0, top: 0, right: 400, bottom: 100, width: 400, height: 100
+  });
+  Object.defineProperty(window.HTMLElement.prototype, 'isContentEditable', {
+    get() {
+      const host = this.closest('[contenteditable]');
+      return Boolean(host) && host.getAttribute('contenteditable') !== 'false';
+    }
+  });
+
+  // Run as scripts (not eval) so their top-level const and let are shared, as in Chrome
+  const context = dom.getInternalVMContext();
+  manifest.content_scripts[0].js.forEach((file) => {
+    vm.runInContext(readSource(file), context, { filename: file });
+  });
+  return window;
+}
+
+// Objects made inside a vm context or jsdom have that realm's prototypes, which
+// strict deep equality counts as a difference; compare their JSON instead
+function toPlain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// Resolve once check() returns something truthy, polling; fails after `timeout` ms
+async function waitFor(check, { timeout = 5000, interval = 20 } = {}) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const result = check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+  throw new Error(`Timed out after ${timeout}ms waiting for ${check}`);
+}
+
+module.exports = { ROOT, loadScripts, loadWorker, loadContentScripts, toPlain, waitFor };
@@ -0,0 +1,126 @@
+// A local stand-in for Anthropic's messages endpoint that replays recorded responses
+// from tests/fixtures/llm/. Point the extension at it with the providerBaseUrl
+// setting. Each request takes the next queued recording; a streaming request gets
+// it as server-sent events, split up the way the API streams text and tool input.
+//
+// A recording is { status?, headers?, body }: `body` is the Messages API response
+// (or error) exactly as the API returned it.
+
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'llm');
+const STREAM_CHUNK_LENGTH = 12; // Characters per delta event
+
+function readRecording(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+}
+
+function chunk(text) {
+  return text.match(new RegExp(`[\\s\\S]{1,${STREAM_CHUNK_LENGTH}}`, 'g')) || [];
+}
+
+// The stream events the API sends for a complete message
+function toStreamEvents(message) {
+  const events = [{
+    type: 'message_start',
+    message: { ...message, content: [], stop_reason: null, usage: { input_tokens: message.usage.input_tokens, output_tokens: 1 } }
+  }];
+
+  message.content.forEach((block, index) => {
+    if (block.type === 'tool_use') {
+      events.push({ type: 'content_block_start', index, content_block: { ...block, input: {} } });
+      chunk(JSON.stringify(block.input)).forEach(partial => {
+        events.push({ type: 'content_block_delta', index, delta: { type: 'input_json_delta', partial_json: partial } });
+      });
+    } else {
+      events.push({ type: 'content_block_start', index, content_block: { type: 'text', text: '' } });
+      chunk(block.text).forEach(text => {
+        events.push({ type: 'content_block_delta', index, delta: { type: 'text_delta', text } });
+      });
+    }
+    events.push({ type: 'content_block_stop', index });
+  });
+
+  events.push(
+    { type: 'message_delta', delta: { stop_reason: message.stop_reason }, usage: { output_tokens: message.usage.output_tokens } },
+    { type: 'message_stop' }
+  );
+  return events;
+}
+
+function sendStream(response, message) {
+  response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  toStreamEvents(message).forEach(event => {
+    response.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+  response.end();
+}
+
+// Resolves to { url, requests, replay(...names), pending(), close() } once listening.
+// `requests` collects every request body received, in order.
+function startMockLLM() {
+  const queue = [];
+  const requests = [];
+
+  const server = http.createServer((request, response) => {
+    // Extension pages send a CORS preflight for the API headers
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Headers', '*');
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204);
+      response.end();
+      return;
+    }
+
+    if (request.method !== 'POST' || request.url !== '/v1/messages') {
+      response.writeHead(404, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ type: 'error', error: { type: 'not_found_error', message: `No mock for ${request.method} ${request.url}` } }));
+      return;
+    }
+
+    let raw = '';
+    request.setEncoding('utf8');
+    request.on('data', (data) => { raw += data; });
+    request.on('end', () => {
+      const body = JSON.parse(raw);
+      requests.push(body);
+
+      const recording = queue.shift();
+      if (!recording) {
+        response.writeHead(500, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ type: 'error', error: { type: 'api_error', message: 'The mock has no recording queued for this request' } }));
+        return;
+      }
+
+      const status = recording.status || 200;
+      if (body.stream && status === 200) {
+        sendStream(response, recording.body);
+        return;
+      }
+      response.writeHead(status, { 'Content-Type': 'application/json', ...recording.headers });
+      response.end(JSON.stringify(recording.body));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        // Queue recordings by file name (without .json), answered in order
+        replay: (...names) => {
+          queue.push(...names.map(readRecording));
+        },
+        pending: () => queue.length,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+module.exports = { startMockLLM, readRecording, toStreamEvents };
@@ -0,0 +1,31 @@
+// PII redaction (privacy.js)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts } = require('./helpers/load.js');
+
+const { redactText } = loadScripts(['privacy.js']);
+
+test('phone numbers written like phone numbers are redacted', () => {
+  assert.equal(redactText('Call +34 612 345 678 today').text, 'Call [PHONE_1] today');
+  assert.equal(redactText('Ruf an: 030 1234567').text, 'Ruf an: [PHONE_1]');
+  assert.equal(redactText('Mon numéro : 06 12 34 56 78.').text, 'Mon numéro : [PHONE_1].');
+  assert.equal(redactText('Tel. (555) 123-4567').text, 'Tel. [PHONE_1]');
+});
+
+test('year ranges are not phone numbers', () => {
+  const redaction = redactText('El contrato va de 2024-2025 y luego 2026 - 2027.');
+  assert.equal(redaction.text, 'El contrato va de 2024-2025 y luego 2026 - 2027.');
+  assert.equal(redaction.replacements.length, 0);
+});
+
+test('unbroken digit runs such as order numbers are not phone numbers', () => {
+  const redaction = redactText('Mi pedido 123456789012 no ha llegado.');
+  assert.equal(redaction.text, 'Mi pedido 123456789012 no ha llegado.');
+  assert.equal(redaction.replacements.length, 0);
+});
+
+test('dates are not phone numbers', () => {
+  assert.equal(redactText('Nos vemos el 2024-05-17.').text, 'Nos vemos el 2024-05-17.');
+});
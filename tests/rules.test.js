@@ -0,0 +1,59 @@
+// Offline rule packs (rules.js)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts, toPlain } = require('./helpers/load.js');
+
+const { checkTextOffline } = loadScripts(['rules.js']);
+
+// [problematicText, correction, ruleId] for each suggestion
+function check(text, language) {
+  return toPlain(checkTextOffline(text, language).map(({ problematicText, correction, ruleId }) => [problematicText, correction, ruleId]));
+}
+
+test('repeated words are flagged', () => {
+  assert.deepEqual(check('Ich habe das Buch Buch gelesen.', 'German'), [['Buch Buch', 'Buch', 'repeated-word']]);
+  assert.deepEqual(check('Je suis suis content.', 'French'), [['suis suis', 'suis', 'repeated-word']]);
+  assert.deepEqual(check('Es muy muy bonito.', 'Spanish'), [['muy muy', 'muy', 'repeated-word']]);
+});
+
+test('French reflexive pronouns may be doubled', () => {
+  assert.deepEqual(check('Nous nous levons tôt.', 'French'), []);
+  assert.deepEqual(check('Vous vous trompez.', 'French'), []);
+});
+
+test('German articles followed by a relative pronoun may be doubled', () => {
+  assert.deepEqual(check('Das ist die Frau, die die Zeitung liest.', 'German'), []);
+  assert.deepEqual(check('Der Mann, der der Frau hilft, ist nett.', 'German'), []);
+  assert.deepEqual(check('Das Kind, das das Buch liest.', 'German'), []);
+});
+
+test('a space before punctuation is replaced by the punctuation alone', () => {
+  assert.deepEqual(check('Hola , amigo.', 'Spanish'), [[' ,', ',', 'space-before-punctuation']]);
+  assert.deepEqual(check('Das ist gut  .', 'German'), [['  .', '.', 'space-before-punctuation']]);
+});
+
+test('the opening question mark goes on single-clause questions only', () => {
+  assert.deepEqual(check('Como estas?', 'Spanish'), [['Como', '¿Como', 'es-inverted-question']]);
+  assert.deepEqual(check('Hola, como estas?', 'Spanish'), []);
+  assert.deepEqual(
+    check('Hola , como estas?', 'Spanish').filter(([, , ruleId]) => ruleId === 'es-inverted-question'),
+    []
+  );
+  assert.deepEqual(check('¿Cómo estás?', 'Spanish'), []);
+});
+
+test('the opening exclamation mark goes on single-clause exclamations only', () => {
+  assert.deepEqual(check('Que bonito!', 'Spanish'), [['Que', '¡Que', 'es-inverted-exclamation']]);
+  assert.deepEqual(check('Oye, que bonito!', 'Spanish'), []);
+});
+
+test('missing accents are flagged only on words that are never right without one', () => {
+  assert.deepEqual(check('Tambien fui el sabado.', 'Spanish'), [
+    ['Tambien', 'También', 'es-missing-accent'],
+    ['sabado', 'sábado', 'es-missing-accent']
+  ]);
+  assert.deepEqual(check('Publico el artículo mañana.', 'Spanish'), []);
+  assert.deepEqual(check('Ultimo los detalles y pagina el documento.', 'Spanish'), []);
+});
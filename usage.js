@@ -0,0 +1,142 @@
+// Usage and cost tracking: token counts from every provider response are added up
+// per month, day, site and language in chrome.storage.local, priced with
+// MODEL_PRICES, and checked against the user's monthly budget before each request.
+// Shared by the service worker (records, enforces) and the popup (dashboard).
+
+// USD per million tokens [input, output], matched by model-name prefix (longest wins)
+const MODEL_PRICES = {
+  'claude-opus-4': [15, 75],
+  'claude-sonnet-4': [3, 15],
+  'claude-3-7-sonnet': [3, 15],
+  'claude-3-5-sonnet': [3, 15],
+  'claude-3-5-haiku': [0.8, 4],
+  'claude-haiku-4': [1, 5],
+  'claude-3-opus': [15, 75],
+  'claude-3-haiku': [0.25, 1.25],
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-4.1-nano': [0.1, 0.4],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-4.1': [2, 8],
+  'o4-mini': [1.1, 4.4]
+};
+
+const BUDGET_KEYS = ['monthlyBudget', 'budgetAction'];
+const BUDGET_ACTIONS = {
+  throttle: 'Slow down (one request a minute)',
+  pause: 'Pause LLM checking'
+};
+const DEFAULT_BUDGET_ACTION = 'throttle';
+const BUDGET_WARNING_RATIO = 0.8;
+const THROTTLE_INTERVAL_MS = 60 * 1000;
+const USAGE_REQUEST_LIMIT = 200; // Individual requests kept per month
+const USAGE_MONTHS_KEPT = 12;
+
+// Local models cost nothing; hosted models we have no price for count as null
+function getTokenPrice(providerId, model) {
+  if (!PROVIDERS[providerId].requiresApiKey) return [0, 0];
+
+  const name = (model || '').toLowerCase().replace(/^.*\//, ''); // "openai/gpt-4o" on proxies
+  const prefix = Object.keys(MODEL_PRICES)
+    .filter(candidate => name.startsWith(candidate))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? MODEL_PRICES[prefix] : null;
+}
+
+function getRequestCost(providerId, model, usage) {
+  const price = getTokenPrice(providerId, model);
+  if (!price) return null;
+  return (usage.inputTokens * price[0] + usage.outputTokens * price[1]) / 1e6;
+}
+
+// Local calendar month and day, e.g. "2026-10" and "2026-10-19"
+function getUsagePeriod(date = new Date()) {
+  const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  return { month, day: `${month}-${String(date.getDate()).padStart(2, '0')}` };
+}
+
+function createUsageTotals() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpricedRequests: 0 };
+}
+
+function addToUsageTotals(totals, usage, cost) {
+  const updated = totals || createUsageTotals();
+  updated.requests++;
+  updated.inputTokens += usage.inputTokens;
+  updated.outputTokens += usage.outputTokens;
+  if (cost === null) {
+    updated.unpricedRequests++;
+  } else {
+    updated.cost += cost;
+  }
+  return updated;
+}
+
+async function getMonthUsage(month = getUsagePeriod().month) {
+  const key = `usage:${month}`;
+  const { [key]: usage } = await chrome.storage.local.get([key]);
+  return usage || { month, totals: createUsageTotals(), days: {}, sites: {}, languages: {}, requests: [] };
+}
+
+// Writes are chained so concurrent requests don't overwrite each other's counts
+let usageWrite = Promise.resolve();
+
+function recordUsage({ providerId, model, site, language, usage }) {
+  const cost = getRequestCost(providerId, model, usage);
+  const { month, day } = getUsagePeriod();
+
+  usageWrite = usageWrite
+    .then(() => getMonthUsage(month))
+    .then((monthUsage) => {
+      addToUsageTotals(monthUsage.totals, usage, cost);
+      monthUsage.days[day] = addToUsageTotals(monthUsage.days[day], usage, cost);
+      monthUsage.sites[site || 'unknown'] = addToUsageTotals(monthUsage.sites[site || 'unknown'], usage, cost);
+      monthUsage.languages[language] = addToUsageTotals(monthUsage.languages[language], usage, cost);
+      monthUsage.requests = [
+        { timestamp: Date.now(), site, language, model, ...usage, cost },
+        ...monthUsage.requests
+      ].slice(0, USAGE_REQUEST_LIMIT);
+
+      return chrome.storage.local.set({ [`usage:${month}`]: monthUsage })
+        .then(() => monthUsage.totals.requests === 1 && pruneOldUsage()); // A new month began
+    })
+    .catch(error => console.error('[Lang Helper] Usage write failed:', error.message));
+  return usageWrite;
+}
+
+async function pruneOldUsage() {
+  const all = await chrome.storage.local.get(null);
+  const months = Object.keys(all).filter(key => key.startsWith('usage:')).sort();
+  if (months.length > USAGE_MONTHS_KEPT) {
+    await chrome.storage.local.remove(months.slice(0, months.length - USAGE_MONTHS_KEPT));
+  }
+}
+
+async function getBudgetSettings() {
+  const { monthlyBudget, budgetAction } = await chrome.storage.sync.get(BUDGET_KEYS);
+  return {
+    monthlyBudget: Number(monthlyBudget) > 0 ? Number(monthlyBudget) : 0,
+    budgetAction: BUDGET_ACTIONS[budgetAction] ? budgetAction : DEFAULT_BUDGET_ACTION
+  };
+}
+
+// 'none' (no budget), 'ok', 'warning' (past 80%) or 'exceeded', with the month's spend
+async function getBudgetStatus() {
+  const { monthlyBudget, budgetAction } = await getBudgetSettings();
+  const { totals } = await getMonthUsage();
+
+  let state = 'none';
+  if (monthlyBudget > 0) {
+    if (totals.cost >= monthlyBudget) {
+      state = 'exceeded';
+    } else {
+      state = totals.cost >= monthlyBudget * BUDGET_WARNING_RATIO ? 'warning' : 'ok';
+    }
+  }
+  return { state, spent: totals.cost, monthlyBudget, budgetAction };
+}
+
+function formatCost(cost) {
+  if (cost > 0 && cost < 0.01) return '<$0.01';
+  return `$${cost.toFixed(2)}`;
+}